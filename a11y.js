@@ -0,0 +1,47 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Screen Reader Support
+ * ============================================================
+ *  Human-readable sprite names (for cell labels and announcements, from the
+ *  sprite catalog in sprites.js) and the polite live region (#announcer in index.html) that speaks game events:
+ *  level start and what to find (startModeLevel), wrong picks and wins
+ *  (grid.js), remaining targets in click-to-remove modes (checkWinClickToRemove).
+ *
+ *  The grid itself is exposed as an ARIA grid by buildGrid (rows of gridcells);
+ *  focus moves between screens in app.js.
+ *
+ *  Dependencies: sprites.js (getSpriteInfo).
+ * ============================================================
+ */
+
+// Ms between clearing the live region and writing the new message, so a message
+// identical to the previous one (e.g. two wrong picks in a row) is still spoken.
+const ANNOUNCE_DELAY_MS = 50;
+
+let announceTimeoutId = null;
+
+/**
+ * Human-readable name for a sprite (e.g. 'apple-red' → "red apple").
+ *
+ * @param {string} sprite Sprite name as used in items / cell.dataset.sprite.
+ * @returns {string}
+ */
+function getSpriteLabel(sprite) {
+    return getSpriteInfo(sprite).name;
+}
+
+/**
+ * Speaks a message through the live region. A newer message replaces one that
+ * hasn't been written yet, so callers combine related text into one call.
+ *
+ * @param {string} message
+ */
+function announce(message) {
+    const region = document.getElementById('announcer');
+    if (!region) return;
+    clearTimeout(announceTimeoutId);
+    region.textContent = '';
+    announceTimeoutId = setTimeout(() => {
+        region.textContent = message;
+    }, ANNOUNCE_DELAY_MS);
+}
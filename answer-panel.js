@@ -0,0 +1,105 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Answer Panel
+ * ============================================================
+ *  A question and a row of answer buttons under the grid (#answer-panel), for
+ *  levels answered by picking a choice rather than a cell (How Many?). A level's
+ *  answers go through the same path as its taps (applyCheckResult in grid.js): the
+ *  mode's checkAnswer follows the CHECKWIN RETURN CONVENTION, input is ignored while
+ *  the level's shouldIgnoreInput says so, and wrong answers and wins get the
+ *  same feedback, scoring and onWin → winLevel transition as cells.
+ *
+ *  A wrong answer is crossed out (.wrong) and can't be picked again; the right
+ *  one lights up (.correct). Digit keys pick the matching answer (pressAnswerKey,
+ *  from app.js). Such levels build their grid with answersOnly (no press feedback
+ *  on cells) and call pointToAnswerPanel when a cell is tapped anyway. Like the recipe strip, app.js hides the panel whenever a level
+ *  ends or is left and before every level starts.
+ *
+ *  Dependencies: level.js (spriteSrc), a11y.js (getSpriteLabel, announce), grid.js (applyCheckResult).
+ * ============================================================
+ */
+
+/**
+ * Shows the panel with the question and one button per choice, for the level
+ * just built on gridEl.
+ *
+ * @param {HTMLElement} gridEl   The #grid element (holds the level's handlers).
+ * @param {{ text: string, sprite?: string }} question  Shown before the choices; the sprite's
+ *                               picture follows the text (e.g. "How many" + strawberry), for
+ *                               players who can't read yet.
+ * @param {number[]} choices     Answers, in display order.
+ * @param {(choice: number) => boolean|Object|null|undefined} checkAnswer  Like checkWin, for an answer.
+ */
+function showAnswerPanel(gridEl, question, choices, checkAnswer) {
+    const panelEl = document.getElementById('answer-panel');
+    if (!panelEl) return;
+    panelEl.innerHTML = '';
+    panelEl.classList.remove('nudge');
+
+    const questionEl = document.createElement('p');
+    questionEl.className = 'answer-question';
+    questionEl.textContent = question.text;
+    if (question.sprite) {
+        const img = document.createElement('img');
+        img.src = spriteSrc(question.sprite);
+        img.alt = getSpriteLabel(question.sprite);
+        img.draggable = false;
+        questionEl.append(' ', img, '?');
+    }
+    panelEl.appendChild(questionEl);
+
+    choices.forEach((choice) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'panel-btn answer-btn';
+        btn.textContent = String(choice);
+        btn.dataset.answer = String(choice);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const h = gridEl.__levelHandlers;
+            if (!h || h.shouldIgnoreInput() || btn.classList.contains('wrong')) return;
+            const result = checkAnswer(choice);
+            if (result === false) {
+                btn.classList.add('wrong');
+                btn.setAttribute('aria-disabled', 'true');
+            } else if (result) {
+                btn.classList.add('correct');
+            }
+            applyCheckResult(gridEl, result, String(choice));
+        });
+        panelEl.appendChild(btn);
+    });
+    panelEl.classList.add('visible');
+}
+
+/**
+ * Draws attention to the answers (a bounce, and an announcement) after a tap on
+ * the grid, which doesn't answer the question. No-op if the panel isn't showing.
+ */
+function pointToAnswerPanel() {
+    const panelEl = document.getElementById('answer-panel');
+    if (!panelEl?.classList.contains('visible')) return;
+    panelEl.classList.remove('nudge');
+    void panelEl.offsetWidth;  // Restart the bounce
+    panelEl.classList.add('nudge');
+    announce('Pick your answer below.');
+}
+
+/** Hides the panel (fades out). No-op if it isn't showing. */
+function hideAnswerPanel() {
+    document.getElementById('answer-panel')?.classList.remove('visible');
+}
+
+/**
+ * Picks the answer matching a pressed key (e.g. "3"), if the panel is showing one.
+ *
+ * @param {string} key KeyboardEvent.key
+ * @returns {boolean} True if an answer was picked.
+ */
+function pressAnswerKey(key) {
+    const panelEl = document.getElementById('answer-panel');
+    if (!panelEl?.classList.contains('visible')) return false;
+    const btn = Array.from(panelEl.querySelectorAll('.answer-btn')).find((b) => b.dataset.answer === key);
+    btn?.click();
+    return !!btn;
+}
@@ -4,36 +4,53 @@
  * ============================================================
  *
  * SCREEN FLOW:
- *   Title screen (Juice Box text) → (click) → Mode select screen (mode buttons) → (click mode) → Level
+ *   Loading screen (shared assets, preload.js) → Title screen
+ *   Title screen (Juice Box text) → (click) → Mode select screen (mode buttons; each enabled once its
+ *     mode's assets have loaded) → (click mode) → Level
  *   Level → (win) → Level (level-to-level via liquid drain)
+ *   Level → (win ending a finite run, e.g. Daily Challenge) → Summary screen (via liquid drain)
+ *   Level → (Time Attack clock runs out) → Summary screen (via liquid drain)
+ *   Level → (win ending a fixed-length session) → Summary screen (via liquid drain)
+ *   Summary screen → (Play again) → Level of the same mode; (Back to modes, ESC) → Mode select screen
  *   Level → (ESC or Juice Box button) → Mode select screen → (ESC) → Title screen
+ *   Mode select screen → (Stats button) → Stats screen → (ESC or Back) → Mode select screen
+ *   Mode select screen → (Settings button) → Settings screen → (ESC or Back) → Mode select screen
+ *   Mode select screen → (Time Attack button) toggles whether the next mode is played against
+ *     the clock (time-attack.js); modes with sessionOptions: false (Daily Challenge) ignore it.
+ *   Mode select screen → (session length button) cycles Endless / 5 / 10 / 20 levels
+ *     (SESSION_LENGTH_OPTIONS in summary.js); also ignored by sessionOptions: false modes.
  *
  * MODE REGISTRY:
- *   Modes register themselves on window.MODES in their own files.
- *   Each mode has a start(gridEl, opts) method. When the player clicks a
+ *   Modes register themselves on window.MODES in their own files, via defineMode()
+ *   (modes.js). Each mode has a start(gridEl, opts) method and its metadata
+ *   (title, icon, order, accent, music, selectSound); the mode select buttons are
+ *   built from it at startup (renderModeButtons). When the player clicks a
  *   mode button, the data-mode attribute is read and MODES[modeId].start()
- *   is called.
+ *   is called. Optional hooks: getSessionSeed() (fixed seed, e.g. Daily Challenge's
+ *   date), getStatus() (text on the mode button; see updateModeButtonStatuses).
  *
  * HOW TO ADD A NEW MODE (for future programmers):
  *  1. Create a new file in modes/ (e.g. modes/mynewmode.js).
- *  2. Wrap your mode in an IIFE so MAX_CELLS is file-scoped. In start(),
- *     generate level data, define checkWin, then call
- *     startModeLevel(gridEl, opts, MAX_CELLS, { items }, checkWin).
- *  3. Add your mode to window.MODES (inside the IIFE):
- *       (function () {
- *         const MAX_CELLS = ...;
- *         const MODES = window.MODES || {};
- *         MODES.mynewmode = {
- *           start(gridEl, opts) {
- *             const { items } = generateLevel();
- *             const checkWin = (cell) => ...;
- *             startModeLevel(gridEl, opts, MAX_CELLS, { items }, checkWin);
- *           }
- *         };
- *         window.MODES = MODES;
- *       })();
- *  4. Add a mode button in index.html: <button class="mode-btn" data-mode="mynewmode">My New Mode</button>
- *  5. Add <script src="modes/mynewmode.js"></script> before app.js in index.html.
+ *  2. Describe the mode with defineMode() (see ModeDescriptor in modes.js). A
+ *     find/collect mode is just data — the level and checkWin are generated:
+ *       defineMode({
+ *         id: 'mynewmode', title: 'My New Mode', icon: 'kiwi', accent: '#8EE53F',
+ *         fillers: ['lime', 'greens'], targets: ['kiwi'],
+ *         targetCount: { min: 1, extraChances: 3 }, win: 'collect-all',
+ *         difficulty: [{ level: 4, maxCells: 24, fillers: ['lime', 'greens', 'avocado'] }]
+ *       });
+ *     `difficulty` ramps the rules up as the session's levels go by (bigger grid,
+ *     look-alike fillers, more targets, quicker bounce-in).
+ *  3. Only if the rules don't fit (e.g. Pick A Pair), also give it a start(gridEl, opts)
+ *     in an IIFE so MAX_CELLS is file-scoped: generate level data (drawing all
+ *     randomness from opts.rng), define checkWin, then call
+ *     startModeLevel(gridEl, opts, MAX_CELLS, { items, prompt }, checkWin)
+ *     (prompt is what screen readers announce, e.g. "Find every banana.").
+ *  4. Add 'modes/mynewmode.js' to SCRIPTS in loader.js, before plugins.js. Its mode select
+ *     button is built from the descriptor (title, icon, order; see renderModeButtons).
+ *
+ *  To try a mode without a deploy, register it with JuiceBox.registerMode() instead of
+ *  defineMode() and open the game with ?modes=path/to/mynewmode.js (see plugins.js).
  *
  *  Win conditions vary by mode: some check cell.dataset.sprite, others might check
  *  order, pairs, or custom data attributes. buildGrid only needs checkWin and onWin.
@@ -52,6 +69,17 @@
  *  Spam guards: isReturningToModeSelect, isReturningToTitle, and isTransitioningToLevel
  *  prevent re-entry; abortTransitionToLevel returns early when !isTransitioningToLevel.
  *
+ * KEYBOARD:
+ *  Enter/Space on the title screen reveals mode select (like a click anywhere).
+ *  Up/Down arrows move between mode select buttons (mode buttons are native
+ *  buttons, so Enter/Space start a mode). In a level, arrow keys focus the grid;
+ *  grid.js handles movement and selection from there. H shows a hint (hints.js),
+ *  like the hint button. Digit keys pick an answer on the answer panel (answer-panel.js).
+ *
+ *  Focus follows the screen: the first (or last played) mode button on mode select,
+ *  the grid when a level starts, the first control on the stats, settings and summary screens.
+ *  Announcements for screen readers go through announce() (a11y.js).
+ *
  *  Juice Box button: shown on mode select screen and in level; hidden on title screen. It
  *  fades out during any screen change and fades in when the new screen is ready.
  *  Uses .visible and .hidden-during-transition (see style.css).
@@ -63,9 +91,17 @@ window.MODES = window.MODES || {};
 const menuContainer = document.getElementById('menu-container');
 const titleHeading = document.getElementById('title');
 const modeScreen = document.getElementById('mode-screen');
+const statsScreen = document.getElementById('stats-screen');
+const statsButton = document.getElementById('stats-button');
+const settingsScreen = document.getElementById('settings-screen');
+const settingsButton = document.getElementById('settings-button');
 const liquidOverlay = document.getElementById('liquid-overlay');
 const grid = document.getElementById('grid');
+const summaryScreen = document.getElementById('summary-screen');
 const juiceboxButton = document.getElementById('juicebox-button');
+const hintButton = document.getElementById('hint-button');
+const timeAttackButton = document.getElementById('time-attack-button');
+const sessionLengthButton = document.getElementById('session-length-button');
 
 let isTransitioning = false;      // True during win→level or level→mode-select; blocks cell input.
 let isSceneTransitioning = false; // True while drain overlay is visible; fades out Juice Box button.
@@ -74,6 +110,13 @@ let isReturningToModeSelect = false;    // True only during level→mode-select;
 let isReturningToTitle = false;         // True during mode select screen→title screen; used for Juice Box button fade.
 let isTransitioningToLevel = false;     // True from mode-button click until startLevel runs; ESC aborts to mode select.
 let currentMode = null;  // Set when a mode button is clicked; used by startLevel to dispatch.
+let sessionSeed = null;  // Seed for the current mode session (?seed= or random); with mode + levelIndex, reproduces each level.
+let levelIndex = 0;      // 0-based index of the next level in the current mode session.
+let sessionScores = [];  // Completed level scores (scoring.js) for the current mode session, in order.
+let isTimeAttackSelected = false;  // Time Attack toggle on mode select; applies to the next mode started.
+let hasTimeRunOut = false;         // Time Attack clock hit zero; a win still on its way (jingle delay) is dropped.
+let selectedSessionLength = null;  // Session length picked on mode select (SESSION_LENGTH_OPTIONS); null = endless.
+let sessionLength = null;          // Levels in the current session, or null when it goes on until the player leaves.
 let startLevelTimeoutId = null;  // Scheduled by scheduleDrainAndLevel; cleared on abort or return.
 let timeoutIDsWeMayUseToCancelPendingTimeoutsForTransitioningFromModeSelectToLevel = [];   // Outer+inner timeouts (button fade, drain schedule); cleared on abort or return to mode select.
 /** Restores body background (used when returning from level or aborting transition). */
@@ -90,6 +133,7 @@ function createDrainCallbacks(opts = {}) {
     return {
         onTransitionStart: () => {
             isSceneTransitioning = true;
+            pauseTimeAttackClock();  // The drain covers the grid; no time is lost under it
             updateJuiceboxButtonVisibility();
         },
         onTransitionEnd: () => {
@@ -100,29 +144,82 @@ function createDrainCallbacks(opts = {}) {
     };
 }
 
+/** Hides what some modes show around the grid (recipe strip, answer panel) when a level ends or is left. */
+function hideLevelExtras() {
+    hideRecipeStrip();
+    hideAnswerPanel();
+}
+
 /**
  * Plays the liquid drain and schedules startLevel only after the overlay is fully
  * opaque (so level sprites never appear before the liquid has covered the screen).
+ *
+ * @param {Object} drainOpts From createDrainCallbacks.
+ * @param {Function} [next=startLevel] What to reveal under the drain (e.g. the session summary).
  */
-function scheduleDrainAndLevel(drainOpts) {
+function scheduleDrainAndLevel(drainOpts, next = startLevel) {
     if (startLevelTimeoutId) clearTimeout(startLevelTimeoutId);
     startLevelTimeoutId = null;
     showLiquidDrain(liquidOverlay, {
         ...drainOpts,
         onOverlayFullyOpaque: () => {
             if (startLevelTimeoutId) return;  /* Aborted or already scheduled */
-            startLevelTimeoutId = setTimeout(startLevel, 0);  /* Run after overlay is opaque */
+            startLevelTimeoutId = setTimeout(next, 0);  /* Run after overlay is opaque */
+        }
+    });
+}
+
+/**
+ * Ends a finite run: clears the grid and shows the summary under the final drain.
+ * isTransitioning stays true (no level is running) until returnToModeSelect.
+ *
+ * @param {Object} summary From winData.sessionSummary (see showSummaryScreen in summary.js).
+ */
+function showSessionSummary(summary) {
+    startLevelTimeoutId = null;
+    grid.innerHTML = '';
+    showSummaryScreen(summaryScreen, summary, {
+        seed: sessionSeed,
+        onPlayAgain: () => {
+            playOneshot('audio/Mouth Pop.mp3');
+            playSessionAgain();
+        },
+        onBack: () => {
+            playOneshot('audio/Mouth Pop.mp3');
+            returnToModeSelect();
         }
     });
+    summaryScreen.querySelector('.panel-btn')?.focus();
+    announce(`${summary.title}: run complete.`);
 }
 
 /**
- * Updates Juice Box button visibility: .visible when on mode select screen or in level,
+ * Starts a new session of the same mode from the summary screen, with the same
+ * session options. The summary stays up until the drain covers it (startLevel).
+ */
+function playSessionAgain() {
+    if (isTransitioningToLevel || isReturningToModeSelect) return;
+    startGameFromMode(currentMode);
+}
+
+/**
+ * Focuses a mode button (keyboard and screen reader users land where they left off).
+ *
+ * @param {string|null} [modeId] Mode to focus; falls back to the first mode button.
+ */
+function focusModeButton(modeId) {
+    const btn = (modeId && modeScreen.querySelector(`.mode-btn[data-mode="${CSS.escape(modeId)}"]:not(:disabled)`))
+        || modeScreen.querySelector('.mode-btn:not(:disabled)');
+    btn?.focus();
+}
+
+/**
+ * Updates Juice Box button visibility: .visible when on mode select screen, stats/settings screen or in level,
  * .hidden-during-transition (fade out) during any transition. Hidden on title screen.
  */
 function updateJuiceboxButtonVisibility() {
     if (!juiceboxButton) return;
-    const isOnModeSelectOrLevel = !modeScreen.classList.contains('hidden') || menuContainer.classList.contains('hidden');
+    const isOnModeSelectOrLevel = isOnModeSelect() || isOnStats() || isOnSettings() || isInLevel();
     if (isOnModeSelectOrLevel) {
         juiceboxButton.classList.add('visible');
     } else {
@@ -142,43 +239,63 @@ function updateJuiceboxButtonVisibility() {
  *
  * @param {Object} [winData] Optional data from the mode. If winData.macguffin is set
  *   (Pick A Pair), the two macguffin cells fade MACGUFFIN_FADE_DELAY_MS later than the rest,
- *   so the player can see where the duplicates were. Drain and level transition wait
+ *   so the player can see where the duplicates were; winData.macguffinCell singles out
+ *   one cell instead, when its sprite alone doesn't (Mirror Mirror). Drain and level transition wait
  *   for macguffins to finish fading (MACGUFFIN_FADE_DELAY_MS + FADE_MS) before starting.
+ *   If winData.sessionSummary is set, or the last level of a fixed-length session was
+ *   won, the run is over: the drain reveals the summary screen instead of the next
+ *   level. winData.score (from grid.js; time, wrong taps,
+ *   streak) is appended to sessionScores and saved to the persistent stats (stats.js).
  */
 function winLevel(winData = {}) {
+    if (hasTimeRunOut) return;
     isTransitioning = true;
+    hideLevelExtras();
+    recordTimeAttackWin();
+    if (winData.score) {
+        sessionScores.push(winData.score);
+        recordLevelStats(currentMode, winData.score);
+    }
+    if (!winData.sessionSummary && sessionLength && levelIndex >= sessionLength) {
+        winData = { ...winData, sessionSummary: getFixedSessionSummary(MODES[currentMode]?.title || '', sessionScores) };
+        stopTimeAttackRun();
+    }
 
-    const drainColor = currentMode ? MODE_ACCENT_COLORS[currentMode] : null;
+    const drainColor = MODES[currentMode]?.accent || null;
     const drainOpts = createDrainCallbacks({ color: drainColor });
+    const next = winData.sessionSummary ? () => showSessionSummary(winData.sessionSummary) : startLevel;
 
-    if (winData.macguffin) {
+    if (winData.macguffin || winData.macguffinCell) {
+        const isMacguffin = (cell) => (winData.macguffinCell
+            ? cell === winData.macguffinCell
+            : cell.dataset.sprite === winData.macguffin);
         // Fade non-macguffins first; macguffins fade MACGUFFIN_FADE_DELAY_MS later so the player
         // can see where the duplicates were.
         grid.querySelectorAll('.cell').forEach((cell) => {
-            if (cell.dataset.sprite !== winData.macguffin) {
+            if (!isMacguffin(cell)) {
                 cell.classList.add('fade-out');
             }
         });
         setTimeout(() => {
             grid.querySelectorAll('.cell').forEach((cell) => {
-                if (cell.dataset.sprite === winData.macguffin) {
+                if (isMacguffin(cell)) {
                     cell.classList.add('fade-out');
                 }
             });
             // Wait for macguffins to finish fading, plus the mode's buffer ms, before starting drain and next level
             setTimeout(() => {
-                scheduleDrainAndLevel(drainOpts);
+                scheduleDrainAndLevel(drainOpts, next);
             }, FADE_MS + winData.postClickedSpriteFadingPreTransitioningFadeMs);
         }, MACGUFFIN_FADE_DELAY_MS);
     } else {
         fadeOutCells(grid);
-        scheduleDrainAndLevel(drainOpts);
+        scheduleDrainAndLevel(drainOpts, next);
     }
 }
 
 /**
- * Returns the player to the mode select screen from a level. Cancels any drain
- * (fades it out), clears the grid, and shows the mode select screen.
+ * Returns the player to the mode select screen from a level (or the session summary).
+ * Cancels any drain (fades it out), clears the grid, and shows the mode select screen.
  *
  * Guarded by isReturningToModeSelect so ESC spam is ignored.
  * Also used when aborting a win transition (ESC during level-to-level drain).
@@ -209,7 +326,11 @@ function returnToModeSelect() {
     timeoutIDsWeMayUseToCancelPendingTimeoutsForTransitioningFromModeSelectToLevel.forEach((id) => clearTimeout(id));
     timeoutIDsWeMayUseToCancelPendingTimeoutsForTransitioningFromModeSelectToLevel = [];
 
+    stopHints(grid);
+    stopTimeAttackRun();
+    hideLevelExtras();
     fadeOutCells(grid);
+    hideSummaryScreen(summaryScreen);
     resetBodyBackground();
 
     // Wait for overlay + cell fade-out, then linger, then reveal mode select
@@ -220,11 +341,14 @@ function returnToModeSelect() {
             titleHeading.classList.add('faded');
             modeScreen.classList.remove('hidden');
             modeScreen.setAttribute('aria-hidden', 'false');
+            updateModeButtonStatuses();
             playOneshot('audio/Windchimes Jingling.mp3');
-            modeScreen.querySelectorAll('.mode-btn').forEach((btn) => btn.classList.remove('fade-out', 'no-hover'));
+            modeScreen.querySelectorAll('.mode-btn, .mode-screen-actions').forEach((el) => el.classList.remove('fade-out', 'no-hover'));
             isTransitioning = false;
             isReturningToModeSelect = false;
             updateJuiceboxButtonVisibility();
+            focusModeButton(currentMode);
+            announce('Choose a mode.');
         }, LEVEL_POST_FADE_OUT_LINGER_BEFORE_RETURNING_TO_MODE_SELECT);
     }, FADE_MS);
 }
@@ -244,6 +368,8 @@ function returnToModeSelect() {
 function abortTransitionToLevel() {
     if (!isTransitioningToLevel) return;
     isTransitioningToLevel = false;
+    stopTimeAttackRun();
+    hideSummaryScreen(summaryScreen);  // Play again from the summary
 
     // Cancel delayed work: button fades, drain schedule, and level start
     timeoutIDsWeMayUseToCancelPendingTimeoutsForTransitioningFromModeSelectToLevel.forEach((id) => clearTimeout(id));
@@ -270,12 +396,13 @@ function abortTransitionToLevel() {
     menuContainer.classList.remove('hidden');
     titleHeading.classList.add('faded');
     playOneshot('audio/Windchimes Jingling.mp3');
-    modeScreen.querySelectorAll('.mode-btn').forEach((btn) => {
-            btn.style.transition = '';
-            btn.classList.remove('fade-out', 'no-hover');
+    modeScreen.querySelectorAll('.mode-btn, .mode-screen-actions').forEach((el) => {
+            el.style.transition = '';
+            el.classList.remove('fade-out', 'no-hover');
         });
     juiceboxButton?.classList.remove('hidden-during-transition');
     updateJuiceboxButtonVisibility();
+    focusModeButton(currentMode);
 }
 
 /**
@@ -293,6 +420,7 @@ function returnToTitle() {
     liquidOverlay.classList.add('hidden');
     juiceboxButton?.classList.add('hidden-during-transition');
     modeScreen.classList.add('fade-out');
+    document.activeElement?.blur();  // Focused mode button is about to be hidden
     setTimeout(() => {
         titleHeading.classList.remove('faded');
         modeScreen.classList.remove('fade-out');
@@ -307,24 +435,55 @@ function returnToTitle() {
 /**
  * Starts a level by dispatching to the current mode's start() method.
  * Each mode is responsible for generating level data, defining checkWin, and
- * calling buildGrid. opts (onWin, shouldIgnoreInput) are provided by app.
+ * calling buildGrid. opts (onWin, shouldIgnoreInput, rng, levelIndex) are provided by app.
+ * The rng is seeded from sessionSeed + mode + levelIndex. The session summary shows
+ * the seed; with ?seed= or ?debug the triple is also logged, so a bug report can be
+ * reproduced with ?seed=.
  */
 function startLevel() {
     isTransitioning = false;
     isTransitioningToLevel = false;
     startLevelTimeoutId = null;
-    if (isFirstLevelOfSession && MODE_BACKGROUND_MUSIC?.[currentMode]) {
-        startModeBackgroundMusic(currentMode, MODE_BACKGROUND_MUSIC[currentMode]);
+    hideSummaryScreen(summaryScreen);  // Play again: the drain now covers the summary
+    if (isFirstLevelOfSession && MODES[currentMode]?.music) {
+        startModeBackgroundMusic(currentMode, MODES[currentMode].music);
     }
     const mode = MODES[currentMode];
     if (!mode || !mode.start) return;
+    if (getSeedFromUrl() || isDebugFromUrl()) {
+        console.info(`Juice Box level: seed=${sessionSeed} mode=${currentMode} level=${levelIndex}`);
+    }
     const opts = {
         onWin: winLevel,
         shouldIgnoreInput: () => isTransitioning,
-        isFirstLevelOfSession: isFirstLevelOfSession
+        isFirstLevelOfSession: isFirstLevelOfSession,
+        rng: createLevelRandom(sessionSeed, currentMode, levelIndex),
+        levelIndex: levelIndex,
+        onWrongTap: isTimeAttackRun() ? recordTimeAttackWrongTap : undefined
     };
     isFirstLevelOfSession = false;
+    levelIndex++;
+    hideLevelExtras();  // Shown again by modes that use them
     mode.start(grid, opts);
+    focusGrid(grid);
+    resumeTimeAttackClock();
+}
+
+/**
+ * Ends a Time Attack run when its clock hits zero: the level in progress is
+ * dropped and the drain reveals the run's summary.
+ */
+function endTimeAttackRun() {
+    hasTimeRunOut = true;
+    isTransitioning = true;
+    const summary = getTimeAttackSummary(MODES[currentMode]?.title || '', sessionScores);
+    stopTimeAttackRun();
+    stopHints(grid);
+    hideLevelExtras();
+    playOneshot('audio/Juicebox Empty.mp3');
+    announce("Time's up!");
+    fadeOutCells(grid);
+    scheduleDrainAndLevel(createDrainCallbacks({ color: MODES[currentMode]?.accent || null }), () => showSessionSummary(summary));
 }
 
 /**
@@ -334,10 +493,20 @@ function startLevel() {
  *
  * @param {string} modeId The data-mode value from the clicked button (e.g. 'pick-a-pair').
  * @param {HTMLElement} [clickedBtn] The mode button that was clicked; if provided, it fades after MODE_BUTTON_FADE_DELAY_MS.
+ *   Omitted when playing again from the summary screen (the menu is already hidden).
  */
 function startGameFromMode(modeId, clickedBtn) {
     currentMode = modeId;
     isFirstLevelOfSession = true;
+    sessionSeed = MODES[modeId]?.getSessionSeed?.() ?? getSeedFromUrl() ?? generateSessionSeed();
+    levelIndex = 0;
+    sessionScores = [];
+    resetScoringSession();
+    hasTimeRunOut = false;
+    const hasSessionOptions = MODES[modeId]?.sessionOptions !== false;
+    sessionLength = hasSessionOptions ? selectedSessionLength : null;
+    if (isTimeAttackSelected && hasSessionOptions) startTimeAttackRun(endTimeAttackRun);
+    else stopTimeAttackRun();
     isTransitioningToLevel = true;  // ESC aborts until startLevel runs
 
     // Clear any pending timeouts from a previous abort (if user re-clicked quickly)
@@ -345,14 +514,14 @@ function startGameFromMode(modeId, clickedBtn) {
     timeoutIDsWeMayUseToCancelPendingTimeoutsForTransitioningFromModeSelectToLevel = [];
 
     if (clickedBtn) {
-        // Fade juicebox and non-clicked mode buttons immediately
+        // Fade juicebox, non-clicked mode buttons and the actions row (Stats) immediately
         juiceboxButton?.classList.add('hidden-during-transition');
-        modeScreen.querySelectorAll('.mode-btn').forEach((btn) => {
-            if (btn !== clickedBtn) btn.classList.add('fade-out');
+        modeScreen.querySelectorAll('.mode-btn, .mode-screen-actions').forEach((el) => {
+            if (el !== clickedBtn) el.classList.add('fade-out');
         });
 
         // Fade in the liquid overlay with mode accent color (behind the mode button)
-        const accentColor = MODE_ACCENT_COLORS[modeId];
+        const accentColor = MODES[modeId]?.accent;
         if (accentColor) {
             liquidOverlay.style.backgroundColor = accentColor;
             liquidOverlay.classList.remove('hidden', 'draining');
@@ -380,25 +549,34 @@ function startGameFromMode(modeId, clickedBtn) {
         timeoutIDsWeMayUseToCancelPendingTimeoutsForTransitioningFromModeSelectToLevel.push(outerId);
     } else {
         menuContainer.classList.add('hidden');
-        scheduleDrainAndLevel(createDrainCallbacks());
+        scheduleDrainAndLevel(createDrainCallbacks({ color: MODES[modeId]?.accent || null }));
     }
 }
 
+/**
+ * Fades the Juice Box text and reveals the mode select screen. No-op unless on
+ * the title screen. Triggered by a click anywhere or Enter/Space.
+ */
+function revealModeSelectFromTitle() {
+    if (!isOnTitle()) return;
+    titleHeading.classList.add('faded');
+    modeScreen.classList.remove('hidden');
+    modeScreen.setAttribute('aria-hidden', 'false');
+    updateModeButtonStatuses();
+    playOneshot('audio/Mouth Pop.mp3');
+    playOneshot('audio/Windchimes Jingling.mp3');
+    juiceboxButton?.classList.add('visible', 'hidden-during-transition');
+    doubleRAF(() => juiceboxButton?.classList.remove('hidden-during-transition'));
+    focusModeButton();
+    announce('Choose a mode.');
+}
+
 /**
  * First click on title screen fades the Juice Box text and reveals the mode select screen.
  * Subsequent clicks (when mode select screen is visible) are handled by the mode buttons.
  */
 function setupTitleScreenClickHandler() {
-    menuContainer.addEventListener('click', () => {
-        if (!modeScreen.classList.contains('hidden')) return;
-        titleHeading.classList.add('faded');
-        modeScreen.classList.remove('hidden');
-        modeScreen.setAttribute('aria-hidden', 'false');
-        playOneshot('audio/Mouth Pop.mp3');
-        playOneshot('audio/Windchimes Jingling.mp3');
-        juiceboxButton?.classList.add('visible', 'hidden-during-transition');
-        doubleRAF(() => juiceboxButton?.classList.remove('hidden-during-transition'));
-    });
+    menuContainer.addEventListener('click', revealModeSelectFromTitle);
 }
 
 /**
@@ -411,15 +589,123 @@ function setupModeScreenHandlers() {
         if (!btn) return;
         e.preventDefault();
         e.stopPropagation();
+        if (isTransitioningToLevel) return;  // Already starting a mode (e.g. Enter held on the focused button)
         btn.classList.add('no-hover');  // Disable hover effects once clicked
         playOneshot('audio/Mouth Pop.mp3');
         const modeId = btn.dataset.mode || Object.keys(MODES)[0] || 'go-bananas';  // Fallback: first registered mode
-        const modeSounds = { 'subtle-tea': 'audio/Windchimes Release.mp3', 'go-bananas': 'audio/Monkey Imitation.mp3' };
-        playOneshot(modeSounds[modeId] || 'audio/Success Jingle Plucking.mp3');
+        playOneshot(MODES[modeId]?.selectSound || DEFAULT_SELECT_SOUND);
         startGameFromMode(modeId, btn);
     });
 }
 
+/**
+ * Shows a panel screen (stats, settings) in place of the mode select screen
+ * and focuses its first control.
+ *
+ * @param {HTMLElement} screenEl Already-rendered panel screen.
+ */
+function showPanelScreen(screenEl) {
+    modeScreen.classList.add('hidden');
+    modeScreen.setAttribute('aria-hidden', 'true');
+    screenEl.classList.remove('hidden');
+    screenEl.setAttribute('aria-hidden', 'false');
+    updateJuiceboxButtonVisibility();
+    screenEl.querySelector('input, .panel-btn')?.focus();
+}
+
+/**
+ * Returns from a panel screen to the mode select screen.
+ *
+ * @param {HTMLElement} screenEl  Panel screen to hide.
+ * @param {HTMLElement} openerBtn Mode select button that opened it (gets focus back).
+ */
+function hidePanelScreen(screenEl, openerBtn) {
+    screenEl.classList.add('hidden');
+    screenEl.setAttribute('aria-hidden', 'true');
+    modeScreen.classList.remove('hidden');
+    modeScreen.setAttribute('aria-hidden', 'false');
+    updateJuiceboxButtonVisibility();
+    openerBtn.focus();
+}
+
+/**
+ * Shows the stats screen in place of the mode select screen. The content is
+ * re-rendered each time so it reflects levels won since it was last opened.
+ */
+function openStatsScreen() {
+    renderStatsScreen(statsScreen, getModeSelectList(), {
+        onBack: () => {
+            playOneshot('audio/Mouth Pop.mp3');
+            closeStatsScreen();
+        }
+    });
+    showPanelScreen(statsScreen);
+}
+
+/** Returns from the stats screen to the mode select screen. */
+function closeStatsScreen() {
+    hidePanelScreen(statsScreen, statsButton);
+}
+
+/** Shows the settings screen (volume sliders and mutes) in place of the mode select screen. */
+function openSettingsScreen() {
+    renderSettingsScreen(settingsScreen, {
+        onBack: () => {
+            playOneshot('audio/Mouth Pop.mp3');
+            closeSettingsScreen();
+        }
+    });
+    showPanelScreen(settingsScreen);
+}
+
+/** Returns from the settings screen to the mode select screen. */
+function closeSettingsScreen() {
+    hidePanelScreen(settingsScreen, settingsButton);
+}
+
+/** Shows whether Time Attack is on, on its mode select toggle. */
+function renderTimeAttackButton() {
+    timeAttackButton.setAttribute('aria-pressed', String(isTimeAttackSelected));
+}
+
+/** Shows the picked session length on its mode select button. */
+function renderSessionLengthButton() {
+    sessionLengthButton.textContent = selectedSessionLength ? `${selectedSessionLength} levels` : 'Endless';
+    sessionLengthButton.setAttribute('aria-label', `Session length: ${sessionLengthButton.textContent}`);
+}
+
+/**
+ * Opens the stats and settings screens from their buttons on the mode select screen;
+ * toggles Time Attack and cycles the session length.
+ */
+function setupPanelButtonHandlers() {
+    sessionLengthButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        playOneshot('audio/Mouth Pop.mp3');
+        const next = (SESSION_LENGTH_OPTIONS.indexOf(selectedSessionLength) + 1) % SESSION_LENGTH_OPTIONS.length;
+        selectedSessionLength = SESSION_LENGTH_OPTIONS[next];
+        renderSessionLengthButton();
+        announce(selectedSessionLength ? `Sessions of ${selectedSessionLength} levels.` : 'Endless sessions.');
+    });
+    timeAttackButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        playOneshot('audio/Mouth Pop.mp3');
+        isTimeAttackSelected = !isTimeAttackSelected;
+        renderTimeAttackButton();
+        announce(isTimeAttackSelected ? 'Time Attack on.' : 'Time Attack off.');
+    });
+    statsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        playOneshot('audio/Mouth Pop.mp3');
+        openStatsScreen();
+    });
+    settingsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        playOneshot('audio/Mouth Pop.mp3');
+        openSettingsScreen();
+    });
+}
+
 /**
  * True when the player is in a level (menu container hidden). Used for ESC and Juice Box button.
  */
@@ -427,6 +713,13 @@ function isInLevel() {
     return menuContainer.classList.contains('hidden');
 }
 
+/**
+ * True when the title screen is showing and interactive (fonts loaded, Juice Box text not faded).
+ */
+function isOnTitle() {
+    return menuContainer.classList.contains('ready') && !titleHeading.classList.contains('faded');
+}
+
 /**
  * True when the player is on the mode select screen (mode buttons visible).
  */
@@ -434,32 +727,49 @@ function isOnModeSelect() {
     return !modeScreen.classList.contains('hidden');
 }
 
-// Startup: init grid dimensions, set cell size, preload sprites. After fonts load, add .ready
-// and wire up title/mode click handlers.
+/**
+ * True when the stats screen is showing (reached from mode select).
+ */
+function isOnStats() {
+    return !statsScreen.classList.contains('hidden');
+}
+
+/**
+ * True when the settings screen is showing (reached from mode select).
+ */
+function isOnSettings() {
+    return !settingsScreen.classList.contains('hidden');
+}
+
+// Startup: init grid dimensions, set cell size, build the mode buttons. The loading screen shows while the shared
+// assets preload (preload.js); once they and the fonts are ready, add .ready, wire up
+// title/mode click handlers, and preload each mode's assets behind its (disabled) button.
 initDefaultGridDimensions();
 updateCellSize();
-updateModeButtonHeight();
+renderModeButtons(modeScreen);
 window.addEventListener('resize', () => {
+    relayoutGrid(grid);  // Turn the grid with the screen, keeping the level as it is
     updateCellSize();
     updateModeButtonHeight();
 });
 
-[...ALL_SPRITES, ...(window.UNJUICABLE_SPRITES || [])].forEach((name) => {
-    const img = new Image();
-    img.src = spriteSrc(name);
-});
+const loadingScreen = document.getElementById('loading-screen');
+const sharedAssetsReady = preloadAssets(SHARED_ASSETS, (done, total) => showLoadingProgress(loadingScreen, done, total));
+preloadModeButtons(modeScreen);
 
-document.fonts.ready.then(() => {
+Promise.all([document.fonts.ready, sharedAssetsReady]).then(() => {
+    hideLoadingScreen(loadingScreen);
     doubleRAF(() => {
         menuContainer.classList.add('ready');
         setupTitleScreenClickHandler();
         setupModeScreenHandlers();
+        setupPanelButtonHandlers();
     });
 });
 
 /**
  * Handles back navigation: ESC or Juice Box button. Plays the Juicebox Empty
- * sound and dispatches to abort, return-to-mode-select, or return-to-title.
+ * sound and dispatches to abort, return-to-mode-select, close-stats/settings, or return-to-title.
  */
 function handleBackAction() {
     playOneshot('audio/Juicebox Empty.mp3');
@@ -468,16 +778,65 @@ function handleBackAction() {
     } else if (isInLevel()) {
         juiceboxButton?.classList.add('hidden-during-transition');
         returnToModeSelect();
+    } else if (isOnStats()) {
+        closeStatsScreen();
+    } else if (isOnSettings()) {
+        closeSettingsScreen();
     } else if (isOnModeSelect()) {
         returnToTitle();
     }
 }
 
-// ESC: same behavior as Juice Box button
+/**
+ * Keyboard navigation outside the grid's own handlers (see KEYBOARD above).
+ *
+ * @param {KeyboardEvent} e
+ */
+function handleNavigationKey(e) {
+    const isArrow = e.key === 'ArrowUp' || e.key === 'ArrowDown' || e.key === 'ArrowLeft' || e.key === 'ArrowRight';
+    if (isOnTitle()) {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        if (!e.repeat) revealModeSelectFromTitle();
+    } else if (isInLevel()) {
+        if ((e.key === 'h' || e.key === 'H') && !e.repeat) {
+            requestHint();
+            return;
+        }
+        if (/^[0-9]$/.test(e.key) && !e.repeat && pressAnswerKey(e.key)) return;
+        if (!isArrow || grid.contains(document.activeElement)) return;
+        e.preventDefault();
+        focusGrid(grid);
+    } else if (isOnModeSelect() && !isTransitioningToLevel) {
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+        e.preventDefault();
+        const buttons = Array.from(modeScreen.querySelectorAll('.mode-btn:not(:disabled), .mode-screen-actions button'));
+        const index = buttons.indexOf(document.activeElement);
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const next = index === -1 ? (step > 0 ? 0 : buttons.length - 1) : (index + step + buttons.length) % buttons.length;
+        buttons[next]?.focus();
+    }
+}
+
+// ESC: same behavior as Juice Box button. Other keys: see handleNavigationKey.
 document.addEventListener('keydown', (e) => {
-    if (e.key !== 'Escape') return;
+    if (e.key !== 'Escape') {
+        handleNavigationKey(e);
+        return;
+    }
     handleBackAction();
 });
 
 // Juice Box button: same priority as ESC
 juiceboxButton.addEventListener('click', handleBackAction);
+
+/**
+ * Shows the next hint in a level (hint button or H); ignored during transitions.
+ * Its sound is a soft bubble, not the wrong-tap pop, so asking never sounds like a mistake.
+ */
+function requestHint() {
+    if (isTransitioning) return;
+    if (showNextHint(grid)) playOneshot('audio/Bubble Up.mp3');
+}
+
+hintButton.addEventListener('click', requestHint);
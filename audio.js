@@ -5,18 +5,48 @@
  *  Handles all audio playback: one-shots, loops, overlapping
  *  effects, and mode background music.
  *
+ *  ENGINE: Web Audio. Each file is fetched and decoded once into an AudioBuffer
+ *  (audioBufferCache), so repeated taps start instantly without re-fetching.
+ *  Every sound is a buffer source → its own gain node → a channel gain →
+ *  the master gain → speakers. Overlaps and repeats (Scatter Plops, playLooped)
+ *  are scheduled on the AudioContext clock, so they are sample-accurate.
+ *  The context is created on first use (normally the first tap).
+ *
  *  Mode background music: stopAllModeBackgroundMusic(), startModeBackgroundMusic().
- *  Config (which mode uses which file) lives in modes.js as MODE_BACKGROUND_MUSIC.
+ *  Config (which mode uses which file) is each mode descriptor's `music` (see defineMode in modes.js).
+ *
+ *  SOUND BANKS: the sounds played when a sprite is picked correctly come from its
+ *  sound bank (getPickSounds / playPickSound): the bank named by the sprite's
+ *  catalog entry (`sounds` in sprites.js), else its category's (e.g. every fruit
+ *  splits, apples override with a bite). A bank's variants never play the same
+ *  one twice in a row, even when switching modes or levels (playSoundVariant).
+ *  A new sprite only declares its bank; every mode then plays the right sound.
+ *
+ *  Dependencies: sprites.js (getSpriteInfo).
+ *
+ *  VOLUME: every sound belongs to a channel — 'music' (mode background music) or
+ *  'effects' (everything else, including the drain in transitions.js). The master
+ *  and channel gains follow the player's settings (settings.js; applyVolumeSettings).
+ *
+ *  SOUND HANDLES: playOneshot, playLoopInfinite and playLooped return a handle
+ *  ({ gain, sources, stopped }) for stopSound / fadeOutAudio. A handle can be
+ *  stopped before its buffer has finished decoding; the sound then never starts.
  *
- *  playSplitSound(): Plays a random "split" sound; used by Go Bananas, Peach Party,
- *  and Pick A Pair (non-apple macguffins). Uses LAST_SPLIT_SOUND_REF internally
- *  so we never repeat the same sound twice in a row, even when switching modes or levels.
+ *  AUTOPLAY: browsers only let audio start after a user gesture. The first
+ *  pointerdown/touchend/keydown unlocks the context (setupAudioUnlock). Until then,
+ *  loops (background music) are queued and start on unlock; one-shots are dropped,
+ *  since a pop or jingle heard late is worse than none.
  *
- *  playAppleBiteSound(): Plays a random Apple Bite sound; used when clicking a
- *  successful apple sprite (Apple of my Eye, or Pick A Pair when macguffin is apple).
+ *  FAILURES: a sound may be given as one path or as a list of paths in preference
+ *  order (e.g. ['audio/Theme.ogg', 'audio/Theme.mp3']); each is tried until one
+ *  fetches and decodes. If none does, the failure is logged once per sound and the
+ *  game carries on silently — a bad file never breaks a level.
  * ============================================================
  */
 
+const AUDIO_CHANNEL_MUSIC = 'music';
+const AUDIO_CHANNEL_EFFECTS = 'effects';
+
 window.LAST_SPLIT_SOUND_REF = window.LAST_SPLIT_SOUND_REF || { last: null };
 window.LAST_RUSTLING_LEAVES_REF = window.LAST_RUSTLING_LEAVES_REF || { last: null };
 window.LAST_APPLE_BITE_REF = window.LAST_APPLE_BITE_REF || { last: null };
@@ -39,71 +69,295 @@ const APPLE_BITE_SOUNDS = [
     'audio/Apple Bite (3).mp3'
 ];
 
+// Last-played ref for each set of sound variants, keyed by the array itself, so
+// everything playing the same set (e.g. the 'split' sound bank and a mode
+// descriptor's successSounds: SPLIT_SOUNDS) shares one ref.
+const soundVariantRefs = new Map([
+    [SPLIT_SOUNDS, LAST_SPLIT_SOUND_REF],
+    [RUSTLING_LEAVES_SOUNDS, LAST_RUSTLING_LEAVES_REF],
+    [APPLE_BITE_SOUNDS, LAST_APPLE_BITE_REF]
+]);
+
+/**
+ * Play one sound from a set of variants at random, never the same one twice in a row.
+ *
+ * @param {(string|string[])[]} srcs  The variants (each a path or fallback list)
+ */
+function playSoundVariant(srcs) {
+    if (!soundVariantRefs.has(srcs)) soundVariantRefs.set(srcs, { last: null });
+    playRandomExcludingLast(srcs, soundVariantRefs.get(srcs));
+}
+
+// ---- Sound banks (see SOUND BANKS above) ----
+
+// Bank name → variants. Sprites name their bank in the sprite catalog (sprites.js).
+const SOUND_BANKS = {
+    'split': SPLIT_SOUNDS,
+    'apple-bite': APPLE_BITE_SOUNDS,
+    'rustling-leaves': RUSTLING_LEAVES_SOUNDS,
+    'tea-pour': ['audio/Tea Liquid Fillup.mp3'],
+    'slurp': ['audio/Teacup Slurping Sip.mp3']
+};
+
+// Bank for sprites whose catalog entry doesn't name one. Anything else splits.
+const CATEGORY_SOUND_BANKS = {
+    'fruit': 'split',
+    'vegetable': 'split',
+    'plant': 'rustling-leaves'
+};
+
 /**
- * Play a random "split" sound (banana/peach). Uses LAST_SPLIT_SOUND_REF so
- * we never repeat the same sound twice in a row, even when switching modes or levels.
+ * The sound variants played when a sprite is picked correctly.
+ *
+ * @param {string} sprite Sprite name (e.g. 'apple-red', 'unjuicable/teapot').
+ * @returns {(string|string[])[]}
  */
-function playSplitSound() {
-    playRandomExcludingLast(SPLIT_SOUNDS, LAST_SPLIT_SOUND_REF);
+function getPickSounds(sprite) {
+    const info = getSpriteInfo(sprite);
+    return SOUND_BANKS[info.sounds] || SOUND_BANKS[CATEGORY_SOUND_BANKS[info.category]] || SPLIT_SOUNDS;
 }
 
 /**
- * Play a random rustling leaves sound. Uses LAST_RUSTLING_LEAVES_REF so we never
- * repeat the same sound twice in a row (same antirepetition logic as Banana Split).
- * Used when clicking a successful leaves-falling macguffin in Pick A Pair or Subtle Tea.
+ * Play one of a sprite's pick sounds (getPickSounds), never the same one twice in a row.
+ *
+ * @param {string} sprite
  */
-function playRustlingLeavesSound() {
-    playRandomExcludingLast(RUSTLING_LEAVES_SOUNDS, LAST_RUSTLING_LEAVES_REF);
+function playPickSound(sprite) {
+    playSoundVariant(getPickSounds(sprite));
 }
 
+// Ramp time constant (seconds) for volume changes, so slider moves don't click.
+const VOLUME_RAMP_SEC = 0.02;
+
+let audioContext = null;       // Created by getAudioContext on first use.
+let isAudioUnlocked = false;   // True after the first user gesture (see AUTOPLAY above).
+const soundsWaitingForUnlock = [];   // [handle, src, opts] loops requested before unlock.
+const failedAudioSources = new Set();  // Sound keys already logged as unplayable.
+let masterGain = null;         // Master volume; channel gains connect here.
+const channelGains = {};       // Key = channel, value = GainNode.
+const audioBufferCache = new Map();  // Key = src, value = Promise<AudioBuffer>.
+
 /**
- * Play a random Apple Bite sound. Uses LAST_APPLE_BITE_REF so we never repeat
- * the same sound twice in a row. Used when clicking a successful apple sprite
- * (e.g. Apple of my Eye, or Pick A Pair when the macguffin is an apple).
+ * Returns the shared AudioContext, creating it and the gain graph on first use.
+ * Resumes it if the browser suspended it (allowed once the player has tapped).
+ *
+ * @returns {AudioContext}
  */
-function playAppleBiteSound() {
-    playRandomExcludingLast(APPLE_BITE_SOUNDS, LAST_APPLE_BITE_REF);
+function getAudioContext() {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContextClass();
+        masterGain = audioContext.createGain();
+        masterGain.connect(audioContext.destination);
+        [AUDIO_CHANNEL_MUSIC, AUDIO_CHANNEL_EFFECTS].forEach((channel) => {
+            channelGains[channel] = audioContext.createGain();
+            channelGains[channel].connect(masterGain);
+        });
+        applyVolumeSettings();
+    }
+    return audioContext;
+}
+
+/**
+ * Resumes the AudioContext (suspended by autoplay policy, or "interrupted" on iOS
+ * after a call). Only effective inside a user gesture. Failures are logged.
+ */
+function resumeAudioContext() {
+    const ctx = getAudioContext();
+    if (ctx.state === 'running') return;
+    ctx.resume().catch((err) => console.warn('Audio: could not resume the audio context', err));
+}
+
+/**
+ * Unlocks audio on a user gesture: resumes the context and starts queued loops.
+ * Stays registered so a context suspended later (e.g. iOS interruptions) resumes
+ * on the next gesture too.
+ */
+function unlockAudio() {
+    resumeAudioContext();
+    if (isAudioUnlocked) return;
+    isAudioUnlocked = true;
+    soundsWaitingForUnlock.splice(0).forEach(([handle, src, opts]) => startSound(handle, src, opts));
+}
+
+/**
+ * Listens for the gestures that may unlock audio (once per page load). Capture
+ * phase, so the context is unlocked before any click handler plays a sound.
+ */
+function setupAudioUnlock() {
+    ['pointerdown', 'touchend', 'keydown'].forEach((type) => {
+        document.addEventListener(type, unlockAudio, { capture: true, passive: true });
+    });
+}
+
+/**
+ * Sets the master and channel gains from the player's settings (settings.js).
+ * Called by updateSettings; a no-op until the AudioContext exists.
+ */
+function applyVolumeSettings() {
+    if (!audioContext) return;
+    const s = getSettings();
+    const now = audioContext.currentTime;
+    masterGain.gain.setTargetAtTime(s.masterMuted ? 0 : s.masterVolume, now, VOLUME_RAMP_SEC);
+    [AUDIO_CHANNEL_MUSIC, AUDIO_CHANNEL_EFFECTS].forEach((channel) => {
+        const volume = s[`${channel}Muted`] ? 0 : s[`${channel}Volume`];
+        channelGains[channel].gain.setTargetAtTime(volume, now, VOLUME_RAMP_SEC);
+    });
 }
 
 /**
- * Create a new Audio object and load its metadata.
- * Returns a promise that resolves when metadata is loaded.
+ * Fetches and decodes one audio file.
  *
- * @param {string} src  Path to the audio file
- * @returns {Promise<HTMLAudioElement>}  Promise resolving to the Audio object with loaded metadata
+ * @param {string} path  Path to the audio file
+ * @returns {Promise<AudioBuffer>}  Rejects on a network error, HTTP error or undecodable file
+ */
+function fetchAudioBuffer(path) {
+    const ctx = getAudioContext();
+    return fetch(withCacheBust(path))
+        .then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${path}`);
+            return response.arrayBuffer();
+        })
+        // Callback form: older WebKit (webkitAudioContext) has no promise-returning decodeAudioData.
+        .then((data) => new Promise((resolve, reject) => ctx.decodeAudioData(data, resolve, reject)));
+}
+
+/**
+ * Fetches and decodes a sound once; later calls share the same promise. With a
+ * list of paths, each is tried in order until one decodes (see FAILURES above).
+ * A failed load is removed from the cache so it can be retried.
+ *
+ * @param {string|string[]} src  Path, or paths in preference order (e.g. "audio/Mouth Pop.mp3")
+ * @returns {Promise<AudioBuffer>}
+ */
+function loadAudioBuffer(src) {
+    const key = String(src);
+    if (!audioBufferCache.has(key)) {
+        const paths = Array.isArray(src) ? src : [src];
+        const promise = paths.reduce(
+            (attempt, path) => attempt.catch(() => fetchAudioBuffer(path)),
+            Promise.reject(new Error('No audio source'))
+        );
+        promise.catch(() => audioBufferCache.delete(key));
+        audioBufferCache.set(key, promise);
+    }
+    return audioBufferCache.get(key);
+}
+
+/**
+ * Logs a sound that couldn't be played, once per sound (rapid taps on a broken
+ * file would otherwise flood the console).
+ *
+ * @param {string|string[]} src
+ * @param {Error} err
+ */
+function reportAudioFailure(src, err) {
+    const key = String(src);
+    if (failedAudioSources.has(key)) return;
+    failedAudioSources.add(key);
+    console.warn(`Audio: could not play ${key}`, err);
+}
+
+/**
+ * Loads an audio file's duration. Kept for callers that only need timing
+ * (e.g. the drain in transitions.js); the decoded buffer is cached for playback.
+ *
+ * @param {string|string[]} src  Path to the audio file (or fallback list)
+ * @returns {Promise<AudioBuffer>}  Resolves to the decoded buffer (has .duration in seconds)
  */
 function loadAudioMetadata(src) {
-    return new Promise((resolve) => {
-        const audio = new Audio(withCacheBust(src));
-        audio.addEventListener('loadedmetadata', () => resolve(audio));
-        audio.load();  // Trigger metadata load
+    return loadAudioBuffer(src);
+}
+
+/**
+ * Starts a sound through its own gain node on a channel. Returns immediately;
+ * if the buffer is still decoding, playback starts when it's ready. Before the
+ * first user gesture, loops are queued and one-shots dropped (see AUTOPLAY above).
+ *
+ * @param {string|string[]} src  Path to the audio file (or fallback list)
+ * @param {Object} [opts]
+ * @param {string} [opts.channel=AUDIO_CHANNEL_EFFECTS]  Volume channel
+ * @param {boolean} [opts.loop=false]  Loop until stopped
+ * @param {number} [opts.times=1]      Back-to-back plays (ignored when looping)
+ * @returns {{ gain: GainNode|null, sources: AudioBufferSourceNode[], stopped: boolean }}  Sound handle
+ */
+function playSound(src, { channel = AUDIO_CHANNEL_EFFECTS, loop = false, times = 1 } = {}) {
+    const handle = { gain: null, sources: [], stopped: false };
+    const opts = { channel, loop, times };
+    if (isAudioUnlocked) startSound(handle, src, opts);
+    else if (loop) soundsWaitingForUnlock.push([handle, src, opts]);
+    else handle.stopped = true;  // Dropped: requested before any gesture
+    return handle;
+}
+
+/**
+ * Connects a handle's gain node and starts its buffer source(s) once decoded.
+ *
+ * @param {Object} handle  From playSound
+ * @param {string|string[]} src
+ * @param {{ channel: string, loop: boolean, times: number }} opts
+ */
+function startSound(handle, src, { channel, loop, times }) {
+    if (handle.stopped) return;
+    const ctx = getAudioContext();
+    const gain = ctx.createGain();
+    gain.connect(channelGains[channel]);
+    handle.gain = gain;
+    loadAudioBuffer(src).then((buffer) => {
+        if (handle.stopped) return;
+        const startAt = ctx.currentTime;
+        const plays = loop ? 1 : times;
+        for (let i = 0; i < plays; i++) {
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.loop = loop;
+            source.connect(gain);
+            source.start(startAt + i * buffer.duration);
+            handle.sources.push(source);
+        }
+        handle.sources[handle.sources.length - 1].onended = () => gain.disconnect();
+    }).catch((err) => {
+        gain.disconnect();
+        reportAudioFailure(src, err);
     });
 }
 
 /**
- * Fade out an Audio element over a duration, then pause and reset.
+ * Stops a sound immediately (or prevents it from starting if still decoding or queued).
  *
- * @param {HTMLAudioElement} audio       The Audio to fade
- * @param {number} durationMs           Fade duration in milliseconds
+ * @param {Object} handle  From playOneshot, playLoopInfinite or playLooped
  */
-function fadeOutAudio(audio, durationMs) {
-    if (!audio) return;
-    const startVolume = audio.volume;
-    const startTime = performance.now();
-    const stop = () => { audio.pause(); audio.currentTime = 0; audio.volume = 1; };
-    function tick(now) {
-        const elapsed = now - startTime;
-        const pct = Math.min(1, elapsed / durationMs);
-        audio.volume = startVolume * (1 - pct);
-        if (pct < 1) requestAnimationFrame(tick);
-        else stop();
+function stopSound(handle) {
+    if (!handle || handle.stopped) return;
+    handle.stopped = true;
+    handle.sources.forEach((source) => {
+        try { source.stop(); } catch (e) { /* Already stopped */ }
+    });
+    handle.gain?.disconnect();
+}
+
+/**
+ * Fade out a sound over a duration, then stop it.
+ *
+ * @param {Object} handle       Sound handle to fade
+ * @param {number} durationMs   Fade duration in milliseconds
+ */
+function fadeOutAudio(handle, durationMs) {
+    if (!handle || handle.stopped) return;
+    if (!handle.gain) {  // Still queued for unlock: nothing audible to fade
+        stopSound(handle);
+        return;
     }
-    requestAnimationFrame(tick);
-    setTimeout(stop, durationMs + 100);  // Backup: ensure pause even if rAF throttled (e.g. tab in background)
+    const ctx = getAudioContext();
+    const now = ctx.currentTime;
+    handle.gain.gain.cancelScheduledValues(now);
+    handle.gain.gain.setValueAtTime(handle.gain.gain.value, now);
+    handle.gain.gain.linearRampToValueAtTime(0, now + durationMs / 1000);
+    setTimeout(() => stopSound(handle), durationMs);
 }
 
 /**
- * Registry of playing mode background music. Key = modeId, value = Audio element.
+ * Registry of playing mode background music. Key = modeId, value = sound handle.
  * Cleared when stopping (no fade) or when fade completes and next mode starts.
  */
 const modeBgAudio = {};
@@ -116,10 +370,10 @@ const modeBgAudio = {};
  */
 function stopAllModeBackgroundMusic(fadeMs) {
     for (const modeId of Object.keys(modeBgAudio)) {
-        const audio = modeBgAudio[modeId];
-        if (audio) {
-            if (fadeMs) fadeOutAudio(audio, fadeMs);
-            else { audio.pause(); audio.currentTime = 0; delete modeBgAudio[modeId]; }
+        const handle = modeBgAudio[modeId];
+        if (handle) {
+            if (fadeMs) fadeOutAudio(handle, fadeMs);
+            else { stopSound(handle); delete modeBgAudio[modeId]; }
         }
     }
 }
@@ -129,61 +383,49 @@ function stopAllModeBackgroundMusic(fadeMs) {
  * Call from app when entering first level of a mode that has background music.
  *
  * @param {string} modeId  Mode identifier (for registry; used when stopping)
- * @param {string} src     Path to the audio file (from MODE_BACKGROUND_MUSIC in modes.js)
+ * @param {string|string[]} src  Path to the audio file, or fallback list (the mode descriptor's `music`)
  */
 function startModeBackgroundMusic(modeId, src) {
     if (!src) return;
     stopAllModeBackgroundMusic();  // Stop any other mode's music (or prior instance)
-    const audio = playLoopInfinite(src);
-    modeBgAudio[modeId] = audio;
+    modeBgAudio[modeId] = playLoopInfinite(src);
 }
 
 /**
- * Play an audio file on infinite loop. Returns the Audio object so the caller
- * can stop it with audio.pause() and audio.currentTime = 0.
+ * Play an audio file on infinite loop. Returns the sound handle so the caller
+ * can stop it with stopSound(handle) or fadeOutAudio(handle, ms).
  *
- * @param {string} src  Path to the audio file
- * @returns {HTMLAudioElement}  The playing Audio object
+ * @param {string|string[]} src  Path to the audio file
+ * @param {string} [channel=AUDIO_CHANNEL_MUSIC]  Volume channel (loops are background music)
+ * @returns {Object}  Sound handle
  */
-function playLoopInfinite(src) {
-    const audio = new Audio(withCacheBust(src));
-    audio.loop = true;
-    audio.play();
-    return audio;
+function playLoopInfinite(src, channel = AUDIO_CHANNEL_MUSIC) {
+    return playSound(src, { channel, loop: true });
 }
 
 /**
  * Play an audio file once from start to finish ("one-shot").
- * Creates a fresh Audio object each call so overlapping plays
+ * Each call gets its own buffer source, so overlapping plays
  * don't cut each other off. Fire-and-forget — no need to await.
  *
- * @param {string} src  Path to the audio file (e.g. "audio/my-sound.mp3")
+ * @param {string|string[]} src  Path to the audio file (e.g. "audio/my-sound.mp3")
+ * @returns {Object}  Sound handle (only needed to stop it early, e.g. the drain)
  */
 function playOneshot(src) {
-    const audio = new Audio(withCacheBust(src));
-    audio.play();
+    return playSound(src);
 }
 
 /**
  * Play an audio file a specific number of times back-to-back.
- * Each time the clip ends it restarts, counting down until all
- * repetitions are done. Like playOneshot, each call creates its
- * own Audio object so it won't interfere with other sounds.
+ * The repeats are scheduled on the audio clock, so there is no gap
+ * between them. Like playOneshot, each call is independent.
  *
- * @param {string} src    Path to the audio file
+ * @param {string|string[]} src    Path to the audio file
  * @param {number} times  How many total plays (e.g. 3 = play, replay, replay)
+ * @returns {Object}  Sound handle
  */
 function playLooped(src, times) {
-    const audio = new Audio(src);
-    let remaining = times;
-    audio.addEventListener('ended', () => {
-        remaining--;
-        if (remaining > 0) {
-            audio.currentTime = 0;
-            audio.play();
-        }
-    });
-    audio.play();
+    return playSound(src, { times });
 }
 
 /**
@@ -207,9 +449,10 @@ function playRandomExcludingLast(srcs, ref) {
  * Play an audio file multiple times with overlapping starts.
  * Each subsequent play begins at a random percentage through
  * the previous play (within a specified range), creating a
- * layered/overlapping effect with natural variation.
+ * layered/overlapping effect with natural variation. All plays
+ * are scheduled up front on the audio clock (sample-accurate).
  *
- * @param {string} src            Path to the audio file
+ * @param {string|string[]} src    Path to the audio file (or fallback list)
  * @param {number} times          How many total plays
  * @param {number} minOverlapPct  Minimum overlap percentage (0.0 to 1.0)
  * @param {number} maxOverlapPct  Maximum overlap percentage (0.0 to 1.0)
@@ -220,26 +463,26 @@ function playRandomExcludingLast(srcs, ref) {
  *                                - Play 3 at random(250-350ms) after play 2
  */
 function playOverlapping(src, times, minOverlapPct, maxOverlapPct) {
-    // Load the audio to get its duration
-    loadAudioMetadata(src).then((audio) => {
-        const duration = audio.duration * 1000; // Convert to milliseconds
-        let cumulativeDelay = 0;
+    if (!isAudioUnlocked) return;  // Dropped like any one-shot before the first gesture
+    loadAudioBuffer(src).then((buffer) => {
+        const ctx = getAudioContext();
+        const gain = ctx.createGain();
+        gain.connect(channelGains[AUDIO_CHANNEL_EFFECTS]);
+        let startAt = ctx.currentTime;
 
-        // Schedule each play with a random overlap interval
         for (let i = 0; i < times; i++) {
-            if (i === 0) {
-                // First play starts immediately
-                playOneshot(src);
-            } else {
+            if (i > 0) {
                 // Each subsequent play uses a random overlap percentage
                 const randomOverlap = Math.random() * (maxOverlapPct - minOverlapPct) + minOverlapPct;
-                const interval = duration * randomOverlap;
-                cumulativeDelay += interval;
-
-                setTimeout(() => {
-                    playOneshot(src);
-                }, cumulativeDelay);
+                startAt += buffer.duration * randomOverlap;
             }
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.connect(gain);
+            source.start(startAt);
+            if (i === times - 1) source.onended = () => gain.disconnect();
         }
-    });
+    }).catch((err) => reportAudioFailure(src, err));
 }
+
+setupAudioUnlock();
@@ -66,7 +66,7 @@
     /* All sprites except leaves-falling and blueberries, plus juicebox, beachball, teapot, thong-sandal.
        Beachball and thong-sandal appear once (half as common); juicebox appears 4× (twice as common). */
     const baseSprites = [
-        ...ALL_SPRITES.filter((s) => s !== 'leaves-falling' && s !== 'blueberries'),
+        ...spritesExcept(['leaves-falling', 'blueberries']),
         'juicebox', 'unjuicable/teapot'
     ];
     const FLYING_SPRITES = [...baseSprites, ...baseSprites, 'unjuicable/beachball', 'unjuicable/thong-sandal', 'juicebox', 'juicebox'];
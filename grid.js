@@ -2,7 +2,7 @@
  * ============================================================
  *  JUICE BOX — Grid & Cell Management
  * ============================================================
- *  Builds the sprite grid DOM, handles cell clicks and touch input.
+ *  Builds the sprite grid DOM, handles cell clicks, touch and keyboard input.
  *  All modes use this shared grid. Win logic is delegated to the active mode
  *  via checkWin(cell) and onWin(). Each mode implements its own win condition.
  *
@@ -10,8 +10,42 @@
  *  - false: wrong sprite → play Mouth Pop (incorrect feedback).
  *  - undefined: correct click but not yet won (e.g. first of several targets) → no feedback, no onWin.
  *  - true or object: level won → call onWin with the result.
+ *  - null: tap not scored (e.g. a card that is already face up, or the first card of a
+ *    memory turn) → no feedback from the grid; the mode does its own, if any.
+ *  A false result also calls the optional onWrongTap hook. Modes whose turns take
+ *  several taps (e.g. Berry Good Memory's pairs) keep their own state between calls
+ *  and score only the tap that ends a turn. A mode can replace the wrong-pick
+ *  announcement ("Not that one: …") with its own (opts.describeWrongPick), e.g. to
+ *  name the whole turn or say what to tap next.
  *
- *  Dependencies: level.js (spriteSrc), audio.js (playOneshot), utils.js (none; grid is stateless).
+ *  KEYBOARD: cells use a roving tabindex (one cell is tabbable at a time). Arrow keys
+ *  move focus across the ACTUAL_GRID_COLUMNS × ACTUAL_GRID_ROWS layout, skipping
+ *  removed/faded cells; Enter or Space selects the focused cell (same path as a tap).
+ *
+ *  ACCESSIBILITY: #grid is an ARIA grid (role="grid" in index.html); buildGrid wraps
+ *  each row of cells in a role="row" element (display: contents, so layout is
+ *  unchanged) and labels sprites by name (a11y.js). Wrong picks and wins are
+ *  announced through the live region.
+ *
+ *  LAYOUT: cells are wrapped in rows of ACTUAL_GRID_COLUMNS. On resize or orientation
+ *  change, relayoutGrid swaps columns and rows if the screen turned, transposing the
+ *  same cells, so a level in progress is kept as it is and neighbours stay neighbours.
+ *
+ *  SCORING: buildGrid starts a level score (scoring.js) timed from when the last
+ *  cell's bounce-in begins. Every tap is recorded; on a win the completed score is
+ *  added to the result as winData.score before onWin is called.
+ *
+ *  HINTS: buildGrid starts hints (hints.js) for the level's hintTargets; taps
+ *  restart their idle clock and a win stops them.
+ *
+ *  MIRRORING: sprites face left or right at random (from the level rng), unless the
+ *  mode decides (opts.mirrored; e.g. Mirror Mirror, whose checkWin reads isCellMirrored).
+ *
+ *  FACE-DOWN CELLS: with opts.faceDown, every cell starts face down, showing the
+ *  Juice Box (CARD_BACK_SRC) and labelled "face-down card". The mode turns cells over
+ *  with flipCell; isCellFaceDown tells which side is showing.
+ *
+ *  Dependencies: level.js (spriteSrc), audio.js (playOneshot), scoring.js, hints.js, a11y.js, utils.js (none; grid is stateless).
  * ============================================================
  */
 
@@ -31,6 +65,56 @@ function getCellUnderTouch(gridEl, touchEvent) {
     return cell && gridEl.contains(cell) && !cell.classList.contains('fade-out') && !cell.classList.contains('removed') ? cell : null;
 }
 
+// Shown on the back of face-down cells (see FACE-DOWN CELLS above).
+const CARD_BACK_SRC = 'favicon.png';
+
+/**
+ * Runs the current level's checkWin for a tapped cell and applies the result:
+ * wrong-pick feedback, scoring, and onWin. Shared by click and touch input so
+ * both behave identically. Callers check shouldIgnoreInput first.
+ *
+ * @param {HTMLElement} gridEl The grid container (holds __levelHandlers).
+ * @param {HTMLElement} cell   The tapped cell.
+ */
+function activateCell(gridEl, cell) {
+    const h = gridEl.__levelHandlers;
+    const result = h.checkWin(cell);
+    const wrongPickMessage = result === false ? h.describeWrongPick?.(cell) : undefined;
+    applyCheckResult(gridEl, result, getSpriteLabel(cell.dataset.sprite), wrongPickMessage);
+}
+
+/**
+ * Applies a checkWin-style result for the current level (see CHECKWIN RETURN
+ * CONVENTION above): wrong-pick feedback, scoring, hints and onWin. Used for grid
+ * cells (activateCell) and for answers picked outside the grid (answer-panel.js).
+ *
+ * @param {HTMLElement} gridEl The grid container (holds __levelHandlers).
+ * @param {boolean|Object|null|undefined} result
+ * @param {string} pickLabel   What was picked, for the wrong-pick announcement (e.g. "red apple", "3").
+ * @param {string} [wrongPickMessage] The wrong-pick announcement; default "Not that one: <pickLabel>."
+ */
+function applyCheckResult(gridEl, result, pickLabel, wrongPickMessage = `Not that one: ${pickLabel}.`) {
+    const h = gridEl.__levelHandlers;
+    if (result === null) return;
+    if (result === false) {
+        playOneshot('audio/Mouth Pop.mp3');
+        recordWrongTap(h.score);
+        announce(wrongPickMessage);
+        h.onWrongTap?.();
+        restartHintIdle(gridEl, false);
+        return;
+    }
+    recordCorrectTap(h.score);
+    if (!result) restartHintIdle(gridEl, true);
+    if (result) {
+        stopHints(gridEl);
+        const winData = result === true ? {} : result;
+        const score = completeLevelScore(h.score);
+        announce(`Level complete in ${formatDuration(score.timeMs)}.`);
+        h.onWin({ ...winData, score });
+    }
+}
+
 /**
  * Attaches pointer handlers to the grid (once per page load). Handlers read the
  * current level's checkWin/onWin from gridEl.__levelHandlers, which is updated
@@ -51,7 +135,7 @@ function setupTouchHandlers(gridEl) {
         if (!h || h.shouldIgnoreInput()) return;
         e.preventDefault();
         updateTrackedCell(e);
-        if (touchStartCell) touchStartCell.classList.add('incorrect-tap');
+        if (touchStartCell && !h.answersOnly) touchStartCell.classList.add('incorrect-tap');
     }, { passive: false });
 
     gridEl.addEventListener('touchmove', (e) => {
@@ -61,7 +145,7 @@ function setupTouchHandlers(gridEl) {
         const prev = touchStartCell;
         updateTrackedCell(e);
         if (prev && prev !== touchStartCell) prev.classList.remove('incorrect-tap');
-        if (touchStartCell) touchStartCell.classList.add('incorrect-tap');
+        if (touchStartCell && !h.answersOnly) touchStartCell.classList.add('incorrect-tap');
     }, { passive: false });
 
     gridEl.addEventListener('touchend', (e) => {
@@ -69,14 +153,7 @@ function setupTouchHandlers(gridEl) {
         if (!h || h.shouldIgnoreInput()) return;
         const finalCell = getCellUnderTouch(gridEl, e) || touchStartCell;
         if (touchStartCell) touchStartCell.classList.remove('incorrect-tap');
-        if (finalCell) {
-            const result = h.checkWin(finalCell);
-            if (result === false) {
-                playOneshot('audio/Mouth Pop.mp3');
-            } else if (result) {
-                h.onWin(result === true ? {} : result);
-            }
-        }
+        if (finalCell) activateCell(gridEl, finalCell);
         touchStartCell = null;
     }, { passive: true });
 
@@ -89,7 +166,7 @@ function setupTouchHandlers(gridEl) {
         const h = gridEl.__levelHandlers;
         if (!h || h.shouldIgnoreInput()) return;
         const cell = e.target.closest('.cell');
-        if (cell && gridEl.contains(cell) && !cell.classList.contains('fade-out') && !cell.classList.contains('removed')) {
+        if (cell && gridEl.contains(cell) && !h.answersOnly && !cell.classList.contains('fade-out') && !cell.classList.contains('removed')) {
             cell.classList.add('incorrect-tap');
             gridEl.__pressedCell = cell;
         }
@@ -103,6 +180,123 @@ function setupTouchHandlers(gridEl) {
     });
 }
 
+/**
+ * True when a cell can still be picked (not removed or fading out).
+ *
+ * @param {Element} cell
+ * @returns {boolean}
+ */
+function isSelectableCell(cell) {
+    return !cell.classList.contains('fade-out') && !cell.classList.contains('removed');
+}
+
+/**
+ * Moves focus to a cell and makes it the grid's single tabbable cell (roving tabindex).
+ *
+ * @param {HTMLElement} gridEl The grid container.
+ * @param {HTMLElement} cell   Cell to focus.
+ */
+function focusCell(gridEl, cell) {
+    gridEl.querySelectorAll('.cell[tabindex="0"]').forEach((c) => { c.tabIndex = -1; });
+    cell.tabIndex = 0;
+    cell.focus({ preventScroll: true });
+}
+
+/**
+ * Focuses the grid's tabbable cell, or the first selectable cell if that one is gone.
+ * Used by app.js when an arrow key is pressed in a level while focus is elsewhere.
+ *
+ * @param {HTMLElement} gridEl The grid container.
+ * @returns {boolean} True if a cell was focused.
+ */
+function focusGrid(gridEl) {
+    const current = gridEl.querySelector('.cell[tabindex="0"]');
+    const cell = current && isSelectableCell(current)
+        ? current
+        : Array.from(gridEl.querySelectorAll('.cell')).find(isSelectableCell);
+    if (!cell) return false;
+    focusCell(gridEl, cell);
+    return true;
+}
+
+/**
+ * Returns the next selectable cell from `cell` in direction (dCol, dRow), skipping
+ * removed/faded cells, or null at the grid edge. Uses ACTUAL_GRID_COLUMNS/ROWS.
+ *
+ * @param {HTMLElement} gridEl The grid container.
+ * @param {HTMLElement} cell   Starting cell.
+ * @param {number} dCol        -1, 0 or 1
+ * @param {number} dRow        -1, 0 or 1
+ * @returns {HTMLElement|null}
+ */
+function findCellInDirection(gridEl, cell, dCol, dRow) {
+    const cells = Array.from(gridEl.querySelectorAll('.cell'));
+    const cols = ACTUAL_GRID_COLUMNS;
+    const index = cells.indexOf(cell);
+    let col = index % cols;
+    let row = Math.floor(index / cols);
+    for (;;) {
+        col += dCol;
+        row += dRow;
+        if (col < 0 || col >= cols || row < 0 || row >= ACTUAL_GRID_ROWS) return null;
+        const candidate = cells[row * cols + col];
+        if (candidate && isSelectableCell(candidate)) return candidate;
+    }
+}
+
+/**
+ * After a keyboard pick removes the focused cell (click-to-remove modes), moves focus
+ * to the nearest selectable cell in reading order so the player can keep going.
+ *
+ * @param {HTMLElement} gridEl The grid container.
+ * @param {HTMLElement} cell   The cell that was just picked.
+ */
+function refocusAfterRemoval(gridEl, cell) {
+    if (isSelectableCell(cell) || !gridEl.contains(cell)) return;
+    const cells = Array.from(gridEl.querySelectorAll('.cell'));
+    const index = cells.indexOf(cell);
+    const next = cells.slice(index + 1).find(isSelectableCell)
+        || cells.slice(0, index).reverse().find(isSelectableCell);
+    if (next) focusCell(gridEl, next);
+}
+
+const ARROW_KEY_DIRECTIONS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
+
+/**
+ * Attaches keyboard handlers to the grid (once per page load). Like the touch
+ * handlers, they read the current level from gridEl.__levelHandlers.
+ *
+ * @param {HTMLElement} gridEl The grid container.
+ */
+function setupKeyboardHandlers(gridEl) {
+    gridEl.addEventListener('keydown', (e) => {
+        const cell = e.target.closest('.cell');
+        if (!cell || !gridEl.contains(cell)) return;
+
+        const direction = ARROW_KEY_DIRECTIONS[e.key];
+        if (direction) {
+            e.preventDefault();
+            const next = findCellInDirection(gridEl, cell, direction[0], direction[1]);
+            if (next) focusCell(gridEl, next);
+            return;
+        }
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();  // Space would otherwise scroll; Enter would repeat
+            if (e.repeat) return;
+            const h = gridEl.__levelHandlers;
+            if (!h || h.shouldIgnoreInput() || !isSelectableCell(cell)) return;
+            activateCell(gridEl, cell);
+            refocusAfterRemoval(gridEl, cell);
+        }
+    });
+}
+
 /**
  * Adds .fade-out to all cells to trigger the CSS opacity transition.
  * Used by app.js for win and return-to-mode-select transitions.
@@ -115,6 +309,103 @@ function fadeOutCells(gridEl) {
     });
 }
 
+/**
+ * Appends cells to the grid in display order, wrapping every ACTUAL_GRID_COLUMNS
+ * of them in a role="row" element (see ACCESSIBILITY above).
+ *
+ * @param {HTMLElement} gridEl
+ * @param {HTMLElement[]} cells
+ */
+function appendCellRows(gridEl, cells) {
+    let row = null;
+    cells.forEach((cell, index) => {
+        if (index % ACTUAL_GRID_COLUMNS === 0) {
+            row = document.createElement('div');
+            row.className = 'grid-row';
+            row.setAttribute('role', 'row');
+            gridEl.appendChild(row);
+        }
+        row.appendChild(cell);
+    });
+}
+
+/**
+ * Turns the current grid to match the viewport after a resize or orientation
+ * change (orientDimensions in level.js): swaps columns and rows if needed and
+ * transposes the existing cells (row r, column c moves to row c, column r), so
+ * every cell keeps its neighbours (Pick A Pair's pairs stay apart, memory cards
+ * stay where the player saw them). The cells themselves are kept, so the level's
+ * sprites, removed cells, handlers and keyboard focus survive.
+ *
+ * @param {HTMLElement} gridEl The grid container (#grid).
+ */
+function relayoutGrid(gridEl) {
+    const { actualColumns, actualRows } = orientDimensions(ACTUAL_GRID_COLUMNS, ACTUAL_GRID_ROWS);
+    if (actualColumns === ACTUAL_GRID_COLUMNS) return;
+    const oldColumns = ACTUAL_GRID_COLUMNS;
+    setGridDimensions(actualColumns, actualRows);
+
+    const cells = Array.from(gridEl.querySelectorAll('.cell'));
+    if (cells.length === 0) return;
+    const focusedCell = cells.includes(document.activeElement) ? document.activeElement : null;
+    const transposed = [];
+    cells.forEach((cell, index) => {
+        const row = Math.floor(index / oldColumns);
+        const column = index % oldColumns;
+        transposed[column * actualColumns + row] = cell;
+    });
+    gridEl.innerHTML = '';
+    appendCellRows(gridEl, transposed);
+    focusedCell?.focus();  // Moving a focused element drops its focus
+    refreshHint(gridEl);
+}
+
+/**
+ * Whether a cell's sprite is shown mirrored (facing the other way).
+ *
+ * @param {HTMLElement} cell
+ * @returns {boolean}
+ */
+function isCellMirrored(cell) {
+    return !!cell.querySelector('img.mirrored');
+}
+
+/**
+ * Whether a cell is face down (see FACE-DOWN CELLS above).
+ *
+ * @param {HTMLElement} cell
+ * @returns {boolean}
+ */
+function isCellFaceDown(cell) {
+    return cell.classList.contains('face-down');
+}
+
+/**
+ * Shows a cell's sprite or its back right away, with the matching label.
+ *
+ * @param {HTMLElement} cell
+ * @param {boolean} faceUp
+ */
+function showCellFace(cell, faceUp) {
+    const img = cell.querySelector('img');
+    img.src = faceUp ? spriteSrc(cell.dataset.sprite) : withCacheBust(CARD_BACK_SRC);
+    img.alt = faceUp ? cell.__spriteLabel : 'face-down card';
+}
+
+/**
+ * Turns a cell over: the sprite turns edge-on, the other face is swapped in and
+ * it turns back (CELL_FLIP_MS). The cell counts as turned (isCellFaceDown) at once.
+ *
+ * @param {HTMLElement} cell
+ * @param {boolean} faceUp True to reveal the sprite, false to hide it again.
+ */
+function flipCell(cell, faceUp) {
+    cell.classList.toggle('face-down', !faceUp);
+    cell.classList.add('flipping');
+    setTimeout(() => showCellFace(cell, !isCellFaceDown(cell)), CELL_FLIP_MS / 2);
+    setTimeout(() => cell.classList.remove('flipping'), CELL_FLIP_MS);
+}
+
 /**
  * Clears the grid and builds a new level of sprite cells. Each mode calls this
  * with its own checkWin and the shared onWin/shouldIgnoreInput from app.js.
@@ -123,45 +414,72 @@ function fadeOutCells(gridEl) {
  * @param {string[]} items                Sprite names in display order (from the mode's level generator).
  * @param {Object} opts
  * @param {Function} opts.checkWin        (cell) => false|undefined|true|object — see CHECKWIN RETURN CONVENTION above.
- * @param {Function} opts.onWin            () => void — called when checkWin returns true. From app.js.
+ * @param {Function} opts.onWin            (winData) => void — called when checkWin returns true/object;
+ *                                         winData includes .score (see SCORING above). From app.js.
  * @param {Function} opts.shouldIgnoreInput () => boolean — true during transitions. From app.js.
+ * @param {Function} opts.rng             Level rng — drives mirroring so a seeded level looks identical. From app.js.
+ * @param {Function} [opts.onWrongTap]    () => void — called after each wrong pick (checkWin returned false).
+ * @param {Function} [opts.describeWrongPick] (cell) => string — the announcement for a wrong pick, asked
+ *                                         once checkWin has returned false. Default: "Not that one: <sprite>."
+ * @param {number} [opts.bounceStaggerMaxMs] Longest random bounce-in delay; modes shorten it as levels get harder.
+ * @param {string[]|Function} [opts.hintTargets]  Sprites the hints point at, or (cell) => boolean for
+ *                                         targets a sprite name can't tell apart (see HINTS above); no hints without.
+ * @param {boolean[]} [opts.mirrored]      Per item, whether its sprite is mirrored (see MIRRORING above).
+ *                                         Mirrored sprites are then labelled as such for screen readers.
+ * @param {boolean} [opts.faceDown]        Start every cell face down (see FACE-DOWN CELLS above).
+ * @param {boolean} [opts.answersOnly]     The level is answered off the grid (answer-panel.js): cells
+ *                                         show no press or hover feedback (.answers-only on the grid).
  */
-function buildGrid(gridEl, items, { checkWin, onWin, shouldIgnoreInput }) {
+function buildGrid(gridEl, items, { checkWin, onWin, shouldIgnoreInput, rng, onWrongTap, describeWrongPick, bounceStaggerMaxMs = GRID_BOUNCE_STAGGER_MAX_MS, hintTargets, mirrored, faceDown = false, answersOnly = false }) {
     gridEl.innerHTML = '';
-    gridEl.__levelHandlers = { checkWin, onWin, shouldIgnoreInput };
+    gridEl.classList.toggle('answers-only', answersOnly);
+    let lastAppearDelay = 0;
 
-    items.forEach((sprite) => {
+    const cells = items.map((sprite, index) => {
         const cell = document.createElement('div');
         cell.classList.add('cell');
         cell.dataset.sprite = sprite;
+        cell.setAttribute('role', 'gridcell');
+        cell.tabIndex = index === 0 ? 0 : -1;  // Roving tabindex: first cell is tabbable
 
         const img = document.createElement('img');
         img.src = spriteSrc(sprite);
-        img.alt = sprite;
+        img.alt = getSpriteLabel(sprite);
         img.draggable = false;
-        randomlyApplyHorizontalMirroringOrNotToSprite(img);
+        if (mirrored) {
+            applyHorizontalMirroringToSprite(img, mirrored[index]);
+            if (mirrored[index]) img.alt = `mirrored ${img.alt}`;
+        } else {
+            randomlyApplyHorizontalMirroringOrNotToSprite(img, rng);
+        }
         cell.appendChild(img);
+        cell.__spriteLabel = img.alt;
+        if (faceDown) {
+            cell.classList.add('face-down');
+            showCellFace(cell, false);
+        }
 
-        const delay = Math.random() * GRID_BOUNCE_STAGGER_MAX_MS + GRID_BOUNCE_STAGGER_MIN_MS;  // Stagger for bounce-in
+        const delay = Math.random() * bounceStaggerMaxMs + GRID_BOUNCE_STAGGER_MIN_MS;  // Stagger for bounce-in
+        lastAppearDelay = Math.max(lastAppearDelay, delay);
         setTimeout(() => {
             cell.classList.add('appear');
         }, delay);
 
         cell.addEventListener('click', () => {
             if (shouldIgnoreInput()) return;
-            const result = checkWin(cell);
-            if (result === false) {
-                playOneshot('audio/Mouth Pop.mp3');
-            } else if (result) {
-                onWin(result === true ? {} : result);
-            }
+            activateCell(gridEl, cell);
         });
 
-        gridEl.appendChild(cell);
+        return cell;
     });
+    appendCellRows(gridEl, cells);
+
+    gridEl.__levelHandlers = { checkWin, onWin, shouldIgnoreInput, onWrongTap, describeWrongPick, answersOnly, score: createLevelScore(lastAppearDelay) };
+    startHints(gridEl, hintTargets, gridEl.__levelHandlers.score, lastAppearDelay);
 
     if (!gridEl.dataset.touchHandlersSetup) {
         setupTouchHandlers(gridEl);
+        setupKeyboardHandlers(gridEl);
         gridEl.dataset.touchHandlersSetup = 'true';
     }
 }
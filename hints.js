@@ -0,0 +1,186 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Hints
+ * ============================================================
+ *  Helps a stuck player by narrowing down where a target is, one stage at a time:
+ *    1. Area: the target's quadrant (on grids of at least 4 × 4) or its row
+ *       glows (.hint-area).
+ *    2. Target: the target cell itself pulses (.hint-target).
+ *  A stage is shown when the player has been idle for the hint delay (Settings;
+ *  hintDelaySec) or asks for one: the hint button (#hint-button) or H.
+ *
+ *  Hints point at whichever targets are still on the grid. buildGrid starts them
+ *  with the level's target sprites (levelData.targets in startModeLevel; the
+ *  macguffin in single-macguffin modes), or a cell test where the sprite doesn't
+ *  say (Mirror Mirror), so removed cells in click-to-remove modes are skipped. Any tap restarts the idle clock; a correct tap that leaves
+ *  targets behind also clears the hint, which starts over for the rest.
+ *  Each hint shown is counted on the level score (recordHint; result.hints).
+ *
+ *  Dependencies: scoring.js (recordHint), settings.js (getSettings), level.js (ACTUAL_GRID_*),
+ *  grid.js (isSelectableCell), a11y.js (announce, getSpriteLabel).
+ * ============================================================
+ */
+
+// Highest stage: the target cell itself.
+const HINT_STAGE_TARGET = 2;
+
+// Smallest grid (columns and rows) whose area hint is a quadrant rather than a row.
+const HINT_QUADRANT_MIN_SIDE = 4;
+
+/**
+ * Starts hints for a new level. Does nothing (and hides the hint button) when
+ * hints are off or the level has no targets to point at.
+ *
+ * @param {HTMLElement} gridEl       The grid container.
+ * @param {string[]|Function} [targets]  Sprites that count as targets this level, or (cell) => boolean.
+ * @param {Object} levelScore        From createLevelScore; hints shown are counted on it.
+ * @param {number} appearsInMs       Ms until the grid has fully appeared; the idle clock starts then.
+ */
+function startHints(gridEl, targets, levelScore, appearsInMs) {
+    stopHints(gridEl);
+    if (getSettings().hintDelaySec == null || !(typeof targets === 'function' || targets?.length)) return;
+    gridEl.__hints = { targets, levelScore, stage: 0, timeoutId: null };
+    gridEl.__hints.timeoutId = setTimeout(() => scheduleIdleHint(gridEl), appearsInMs);
+    setHintButtonVisible(true);
+}
+
+/**
+ * Stops hints (on a win or when leaving the level): cancels the idle clock,
+ * clears any hint shown and hides the hint button.
+ *
+ * @param {HTMLElement} gridEl
+ */
+function stopHints(gridEl) {
+    if (gridEl.__hints) clearTimeout(gridEl.__hints.timeoutId);
+    gridEl.__hints = null;
+    clearHintClasses(gridEl);
+    setHintButtonVisible(false);
+}
+
+/**
+ * Restarts the idle clock after a tap. A correct tap (targets remain) also
+ * clears the hint shown, so the next one starts over from the area.
+ *
+ * @param {HTMLElement} gridEl
+ * @param {boolean} correct
+ */
+function restartHintIdle(gridEl, correct) {
+    const hints = gridEl.__hints;
+    if (!hints) return;
+    if (correct) {
+        hints.stage = 0;
+        clearHintClasses(gridEl);
+    }
+    scheduleIdleHint(gridEl);
+}
+
+/**
+ * Shows the next hint stage (hint button, H key or the idle clock). Once the
+ * target is pulsing, asking again only points at it again.
+ *
+ * @param {HTMLElement} gridEl
+ * @returns {boolean} False if there was nothing to hint (hints off, or no target left).
+ */
+function showNextHint(gridEl) {
+    const hints = gridEl.__hints;
+    if (!hints) return false;
+    const target = findHintTarget(gridEl);
+    if (!target) return false;
+    hints.stage = Math.min(hints.stage + 1, HINT_STAGE_TARGET);
+    recordHint(hints.levelScore);
+    renderHint(gridEl, target);
+    scheduleIdleHint(gridEl);
+    return true;
+}
+
+/**
+ * Re-applies the current hint after the grid is turned (relayoutGrid), since
+ * the target's row or quadrant has changed.
+ *
+ * @param {HTMLElement} gridEl
+ */
+function refreshHint(gridEl) {
+    const target = findHintTarget(gridEl);
+    if (gridEl.__hints?.stage > 0 && target) renderHint(gridEl, target, { silent: true });
+}
+
+/**
+ * Schedules the next stage after the hint delay; none when the delay is 0
+ * (hints only on request) or the target is already pulsing.
+ *
+ * @param {HTMLElement} gridEl
+ */
+function scheduleIdleHint(gridEl) {
+    const hints = gridEl.__hints;
+    clearTimeout(hints.timeoutId);
+    const delaySec = getSettings().hintDelaySec;
+    if (!delaySec || hints.stage >= HINT_STAGE_TARGET) return;
+    hints.timeoutId = setTimeout(() => showNextHint(gridEl), delaySec * 1000);
+}
+
+/**
+ * The first target cell still on the grid, in reading order.
+ *
+ * @param {HTMLElement} gridEl
+ * @returns {HTMLElement|undefined}
+ */
+function findHintTarget(gridEl) {
+    const targets = gridEl.__hints?.targets || [];
+    const isTarget = typeof targets === 'function' ? targets : (cell) => targets.includes(cell.dataset.sprite);
+    return Array.from(gridEl.querySelectorAll('.cell'))
+        .find((cell) => isTarget(cell) && isSelectableCell(cell));
+}
+
+/**
+ * Marks the hinted area (stage 1) or target (stage 2) and announces it.
+ *
+ * @param {HTMLElement} gridEl
+ * @param {HTMLElement} target From findHintTarget.
+ * @param {{ silent?: boolean }} [options] silent: don't announce (refreshHint).
+ */
+function renderHint(gridEl, target, { silent = false } = {}) {
+    clearHintClasses(gridEl);
+    const cells = Array.from(gridEl.querySelectorAll('.cell'));
+    const index = cells.indexOf(target);
+    const row = Math.floor(index / ACTUAL_GRID_COLUMNS);
+    const col = index % ACTUAL_GRID_COLUMNS;
+    let message;
+
+    if (gridEl.__hints.stage >= HINT_STAGE_TARGET) {
+        target.classList.add('hint-target');
+        message = `Hint: the ${getSpriteLabel(target.dataset.sprite)} is in row ${row + 1}, column ${col + 1}.`;
+    } else if (ACTUAL_GRID_COLUMNS >= HINT_QUADRANT_MIN_SIDE && ACTUAL_GRID_ROWS >= HINT_QUADRANT_MIN_SIDE) {
+        const half = (n, size) => (n < Math.ceil(size / 2) ? 0 : 1);
+        cells.forEach((cell, i) => {
+            const sameRowHalf = half(Math.floor(i / ACTUAL_GRID_COLUMNS), ACTUAL_GRID_ROWS) === half(row, ACTUAL_GRID_ROWS);
+            const sameColHalf = half(i % ACTUAL_GRID_COLUMNS, ACTUAL_GRID_COLUMNS) === half(col, ACTUAL_GRID_COLUMNS);
+            if (sameRowHalf && sameColHalf) cell.classList.add('hint-area');
+        });
+        const vertical = half(row, ACTUAL_GRID_ROWS) === 0 ? 'top' : 'bottom';
+        const horizontal = half(col, ACTUAL_GRID_COLUMNS) === 0 ? 'left' : 'right';
+        message = `Hint: look in the ${vertical} ${horizontal}.`;
+    } else {
+        cells.slice(row * ACTUAL_GRID_COLUMNS, (row + 1) * ACTUAL_GRID_COLUMNS)
+            .forEach((cell) => cell.classList.add('hint-area'));
+        message = `Hint: look in row ${row + 1}.`;
+    }
+    if (!silent) announce(message);
+}
+
+/**
+ * Removes hint highlighting from every cell.
+ *
+ * @param {HTMLElement} gridEl
+ */
+function clearHintClasses(gridEl) {
+    gridEl.querySelectorAll('.hint-area, .hint-target').forEach((cell) => cell.classList.remove('hint-area', 'hint-target'));
+}
+
+/**
+ * Shows or hides the hint button (#hint-button in index.html).
+ *
+ * @param {boolean} visible
+ */
+function setHintButtonVisible(visible) {
+    document.getElementById('hint-button')?.classList.toggle('visible', visible);
+}
@@ -1,24 +1,20 @@
 /*
  * ============================================================
- *  JUICE BOX — Sprite Catalog & Grid Utilities
+ *  JUICE BOX — Level & Grid Utilities
  * ============================================================
- *  Shared sprite list, path helper, and generic grid utilities.
+ *  Sprite path helper and generic grid utilities. The sprite catalog
+ *  (ALL_SPRITES and sprite attributes) lives in sprites.js.
  *  Level generation logic (how to fill the grid) lives in each mode.
  *
- *  MODE CONTRACT: Each mode must be wrapped in an IIFE so MAX_CELLS is
- *  file-scoped. In start(), call startModeLevel(gridEl, opts, MAX_CELLS, { items }, checkWin).
+ *  MODE CONTRACT: Most modes are declarative descriptors passed to defineMode()
+ *  (modes.js), which generates their levels and checkWin. A mode with its own
+ *  start() must be wrapped in an IIFE so MAX_CELLS is file-scoped. In start(), call startModeLevel(gridEl, opts, MAX_CELLS, { items, prompt }, checkWin),
+ *  where prompt tells screen reader users what to find (see a11y.js).
  *  Dimensions are set when switching to that mode, not at script load.
+ *  Generators must draw all randomness from opts.rng (see SEEDED RANDOMNESS in utils.js).
  * ============================================================
  */
 
-// Every filename in the sprites/ folder (without the .png extension).
-const ALL_SPRITES = [
-    'apple-gold', 'apple-green', 'apple-red', 'avocado', 'banana', 'beet', 'blueberries',
-    'carrot', 'cherries', 'coconut', 'cucumber', 'ginger', 'grapes', 'greens',
-    'kiwi', 'leaves-falling', 'lemon', 'lime', 'mango', 'melon', 'peach',
-    'pear-gold', 'pear-green', 'pineapple', 'strawberry', 'tangerine', 'watermelon'
-];
-
 // Build the full image path for a sprite name.
 // Single source of truth so the path pattern isn't repeated.
 const spriteSrc = (name) => withCacheBust(`sprites/${name}.png`);
@@ -31,12 +27,13 @@ const spriteSrc = (name) => withCacheBust(`sprites/${name}.png`);
  *
  * @param {number} count Number of cells to fill.
  * @param {string[]} sourceSprites Sprite names to choose from (e.g. FILLER_SPRITES or ALL_SPRITES).
+ * @param {() => number} rng Level rng (opts.rng).
  * @returns {string[]}
  */
-function fillWithRandom(count, sourceSprites) {
+function fillWithRandom(count, sourceSprites, rng) {
     const items = [];
     for (let i = 0; i < count; i++) {
-        items.push(sourceSprites[Math.floor(Math.random() * sourceSprites.length)]);
+        items.push(randomChoice(sourceSprites, rng));
     }
     return items;
 }
@@ -48,16 +45,17 @@ function fillWithRandom(count, sourceSprites) {
  *
  * @param {string[]} items Sprite names in display order (from level generator).
  * @param {string} target Sprite name to add.
+ * @param {() => number} rng Level rng (opts.rng).
  * @param {number} [extraRuns=3] Number of 50% chances.
  */
-function addExtraTargetsByChance(items, target, extraRuns = 3) {
+function addExtraTargetsByChance(items, target, rng, extraRuns = 3) {
     for (let i = 0; i < extraRuns; i++) {
-        if (Math.random() < 0.5) {
+        if (randomCoinToss(rng)) {
             const nonTargetIndices = items
                 .map((s, idx) => (s === target ? -1 : idx))
                 .filter((idx) => idx >= 0);
             if (nonTargetIndices.length > 0) {
-                const idx = nonTargetIndices[Math.floor(Math.random() * nonTargetIndices.length)];
+                const idx = randomChoice(nonTargetIndices, rng);
                 items[idx] = target;
             }
         }
@@ -65,33 +63,44 @@ function addExtraTargetsByChance(items, target, extraRuns = 3) {
 }
 
 /**
- * Ensures at least one instance of the target sprite in the items array.
- * If none exist, replaces a random cell with the target. Mutates items in place.
- * Use before addExtraTargetsByChance so the mode has the required minimum.
+ * Ensures at least `min` instances of the target sprite in the items array.
+ * While there are too few, replaces a random non-target cell with the target.
+ * Mutates items in place. Use before addExtraTargetsByChance so the mode has the
+ * required minimum.
  *
  * @param {string[]} items Sprite names in display order (from level generator).
- * @param {string} target Sprite name that must appear at least once.
+ * @param {string} target Sprite name that must appear at least `min` times.
+ * @param {() => number} rng Level rng (opts.rng).
+ * @param {number} [min=1]
  */
-function ensureTargetPresent(items, target) {
-    if (!items.some((s) => s === target)) {
-        items[Math.floor(Math.random() * items.length)] = target;
+function ensureTargetPresent(items, target, rng, min = 1) {
+    let count = items.filter((s) => s === target).length;
+    while (count < min && count < items.length) {
+        const nonTargetIndices = items
+            .map((s, idx) => (s === target ? -1 : idx))
+            .filter((idx) => idx >= 0);
+        items[randomChoice(nonTargetIndices, rng)] = target;
+        count++;
     }
 }
 
 // ---- Grid dimensions ----
 //
-// Generic defaults for all modes. The desired grid size is the same for every
-// mode; the mode-specific part is maxCells (how many cells the mode can use,
-// based on its sprite rules). Automatic reduction kicks in if desiredCols ×
-// desiredRows would exceed maxCells.
+// Each mode may declare its preferred grid (columns × rows, in portrait); modes
+// that don't use GRID_COLUMNS × GRID_ROWS. The mode-specific part is maxCells
+// (how many cells the mode can use, based on its sprite rules). Automatic
+// reduction kicks in if the preferred columns × rows would exceed maxCells.
 //
 // REDUCTION STRATEGY (mode-generic):
 // If the product exceeds maxCells, we reduce the larger dimension first (to
 // maintain a more square-like aspect ratio), then reduce further if needed.
+//
+// ORIENTATION: the grid is then turned so its longer side runs along the
+// screen's longer side (orientDimensions), and turned again on resize or
+// orientation change without rebuilding the level (relayoutGrid in grid.js).
 
-// Desired grid dimensions. reduceDimensions() may shrink them when a mode's maxCells
-// is lower (called via computeGridDimensions). SINGLE SOURCE: change these two; all
-// grid layout, comments, and mode logic follow.
+// Default preferred grid dimensions (portrait). reduceDimensions() may shrink them
+// when a mode's maxCells is lower (called via computeGridDimensions).
 const GRID_COLUMNS = 4;
 const GRID_ROWS = 6;
 
@@ -135,18 +144,47 @@ function reduceDimensions(desiredCols, desiredRows, maxCells) {
 }
 
 /**
- * Computes grid dimensions for a mode and exposes them. Each mode must call
- * this at the start of its start() method when the user switches to that mode.
+ * Turns grid dimensions to match the viewport: in landscape the grid is wider
+ * than tall, in portrait taller than wide. Square grids are left as they are.
  *
- * @param {number} maxCells  Maximum cells this mode can use (mode-specific)
+ * @param {number} columns
+ * @param {number} rows
  * @returns {{ actualColumns: number, actualRows: number }}
  */
-function computeGridDimensions(maxCells) {
-    const { actualColumns, actualRows } = reduceDimensions(GRID_COLUMNS, GRID_ROWS, maxCells);
+function orientDimensions(columns, rows) {
+    const isLandscape = window.innerWidth > window.innerHeight;
+    const isWide = columns > rows;
+    return columns !== rows && isLandscape !== isWide
+        ? { actualColumns: rows, actualRows: columns }
+        : { actualColumns: columns, actualRows: rows };
+}
+
+/**
+ * Exposes the grid dimensions (ACTUAL_GRID_COLUMNS/ROWS and the CSS variables).
+ *
+ * @param {number} actualColumns
+ * @param {number} actualRows
+ */
+function setGridDimensions(actualColumns, actualRows) {
     window.ACTUAL_GRID_COLUMNS = actualColumns;
     window.ACTUAL_GRID_ROWS = actualRows;
     document.documentElement.style.setProperty('--grid-columns', actualColumns);
     document.documentElement.style.setProperty('--grid-rows', actualRows);
+}
+
+/**
+ * Computes grid dimensions for a mode and exposes them. Each mode must call
+ * this at the start of its start() method when the user switches to that mode.
+ *
+ * @param {number} maxCells  Maximum cells this mode can use (mode-specific)
+ * @param {{ columns: number, rows: number }} [preferred]  The mode's preferred grid (portrait).
+ *                           Default: GRID_COLUMNS × GRID_ROWS.
+ * @returns {{ actualColumns: number, actualRows: number }}
+ */
+function computeGridDimensions(maxCells, preferred = { columns: GRID_COLUMNS, rows: GRID_ROWS }) {
+    const reduced = reduceDimensions(preferred.columns, preferred.rows, maxCells);
+    const { actualColumns, actualRows } = orientDimensions(reduced.actualColumns, reduced.actualRows);
+    setGridDimensions(actualColumns, actualRows);
     return { actualColumns, actualRows };
 }
 
@@ -177,16 +215,20 @@ function getCellSize() {
  * @param {HTMLElement} gridEl The grid container.
  * @param {HTMLElement} cell The clicked cell.
  * @param {string|string[]} target Sprite name(s) to collect. Use array for multiple (e.g. Pearody: ['pear-green', 'pear-gold']).
+ * @param {string[]} [successSounds] Variants played on each collected target (see playSoundVariant).
+ *   Default: the tapped sprite's pick sounds (getPickSounds in audio.js).
  * @returns {false|undefined|true}
  */
-function checkWinClickToRemove(gridEl, cell, target) {
+function checkWinClickToRemove(gridEl, cell, target, successSounds = getPickSounds(cell.dataset.sprite)) {
     const targets = Array.isArray(target) ? target : [target];
     if (!targets.includes(cell.dataset.sprite)) return false;
-    playSplitSound();
+    if (successSounds.length > 0) playSoundVariant(successSounds);
     cell.classList.add('removed');
+    cell.setAttribute('aria-disabled', 'true');
     const remaining = Array.from(gridEl.querySelectorAll('.cell:not(.removed)')).filter((c) =>
         targets.includes(c.dataset.sprite)
     );
+    if (remaining.length > 0) announce(`Got it. ${remaining.length} left.`);
     return remaining.length === 0 ? true : undefined;
 }
 
@@ -197,11 +239,12 @@ function checkWinClickToRemove(gridEl, cell, target) {
  *
  * @param {Object} opts From app.js: { onWin, shouldIgnoreInput }
  * @param {number} postFadeMs Extra ms after the last target fades, before starting drain.
+ * @param {string} [jingle] Win sound (default: the Success Jingle).
  * @returns {function} Wrapped onWin callback.
  */
-function wrapOnWinWithJingleAndDelay(opts, postFadeMs) {
+function wrapOnWinWithJingleAndDelay(opts, postFadeMs, jingle = 'audio/Success Jingle Plucking.mp3') {
     return (result) => {
-        playOneshot('audio/Success Jingle Plucking.mp3');
+        playOneshot(jingle);
         setTimeout(() => opts.onWin(result), FADE_MS + postFadeMs);
     };
 }
@@ -211,16 +254,21 @@ function wrapOnWinWithJingleAndDelay(opts, postFadeMs) {
  * Each mode calls this with its MAX_CELLS, level data (with .items), and checkWin.
  *
  * @param {HTMLElement} gridEl
- * @param {Object} opts From app.js: { onWin, shouldIgnoreInput }
+ * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }
  * @param {number} maxCells
- * @param {{ items: string[] }} levelData From the mode's generateLevel()
+ * @param {{ items: string[], prompt?: string, targets?: string[]|Function, grid?: { columns: number, rows: number }, mirrored?: boolean[] }} levelData
+ *   From the mode's generateLevel(), plus the screen reader prompt saying what to find (e.g. "Find
+ *   every banana."), announced with the level number, the sprites that count as targets (for
+ *   hints; see hints.js) and the mode's preferred grid, if any. mirrored: which sprites face the
+ *   other way, when the mode decides (see buildGrid).
  * @param {(cell: HTMLElement) => boolean} checkWin
  */
 function startModeLevel(gridEl, opts, maxCells, levelData, checkWin) {
-    computeGridDimensions(maxCells);
+    computeGridDimensions(maxCells, levelData.grid);
     updateCellSize();
     playOverlapping('audio/Scatter Plops.mp3', 3, 0.25, 0.35);
-    buildGrid(gridEl, levelData.items, { ...opts, checkWin });
+    buildGrid(gridEl, levelData.items, { ...opts, checkWin, hintTargets: levelData.targets, mirrored: levelData.mirrored });
+    announce([`Level ${opts.levelIndex + 1}.`, levelData.prompt].filter(Boolean).join(' '));
 }
 
 /**
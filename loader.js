@@ -8,9 +8,15 @@
  *  Flow: index.html loads version.js and loader.js with ?v=<hash> (injected at deploy).
  *  version.js defines CACHE_BUST → loader.js runs → injects <link> and <script> tags
  *  with ?v=CACHE_BUST → scripts run in order via onload
- *  chaining → when done, cache-busts static images (favicon, mode icons).
+ *  chaining → when done, cache-busts static images (favicon, Juice Box button).
+ *  Mode icons are built by renderModeButtons with spriteSrc, which cache-busts them.
  *
- *  Add new modes: push path to SCRIPTS before app.js.
+ *  Add new modes: push path to SCRIPTS before plugins.js. Custom modes listed in
+ *  ?modes= load after SCRIPTS (PLUGIN_SCRIPTS; see plugins.js).
+ *
+ *  Offline: once loaded, registers sw.js?v=CACHE_BUST (service worker; skipped in
+ *  local dev). STYLESHEETS and SCRIPTS are also read by scripts/inject-version.cjs
+ *  to build the service worker's precache list, so keep them as literal lists.
  * ============================================================
  */
 
@@ -22,7 +28,8 @@
     };
 
     /* ---- 1. Inject CSS with cache bust so stylesheets refetch on deploy ---- */
-    ['style.css', 'liquid.css'].forEach(function (href) {
+    var STYLESHEETS = ['style.css', 'liquid.css'];
+    STYLESHEETS.forEach(function (href) {
         var link = document.createElement('link');
         link.rel = 'stylesheet';
         link.href = q(href);
@@ -32,11 +39,24 @@
     /* ---- 2. Load scripts sequentially; onload chains to preserve order ---- */
     var SCRIPTS = [
         'timing.js',
+        'sprites.js',
         'level.js',
         'audio.js',
         'utils.js',
+        'storage.js',
+        'a11y.js',
+        'scoring.js',
         'flying-sprites.js',
         'transitions.js',
+        'panel.js',
+        'summary.js',
+        'time-attack.js',
+        'stats.js',
+        'settings.js',
+        'hints.js',
+        'recipe-strip.js',
+        'answer-panel.js',
+        'preload.js',
         'grid.js',
         'modes.js',
         'modes/go-bananas.js',
@@ -45,21 +65,50 @@
         'modes/peach-party.js',
         'modes/subtle-tea.js',
         'modes/pick-a-pair.js',
+        'modes/mirror-mirror.js',
+        'modes/berry-good-memory.js',
+        'modes/recipe-for-success.js',
+        'modes/how-many.js',
+        'modes/daily-challenge.js',
+        'plugins.js',
         'app.js'
     ];
 
+    /* Custom modes to try without a deploy: ?modes=path/a.js,path/b.js (see plugins.js).
+       Same-origin only — a plugin runs with full access to the page. */
+    var PLUGIN_SCRIPTS = (new URLSearchParams(location.search).get('modes') || '')
+        .split(',')
+        .map(function (path) { return path.trim(); })
+        .filter(function (path) {
+            if (!path) return false;
+            if (new URL(path, location.href).origin === location.origin) return true;
+            console.warn('Custom mode not loaded (not same-origin): ' + path);
+            return false;
+        });
+
+    /* Plugins load after the game; ?t= always refetches them, since they change while being tried. */
+    function loadPluginScript(i) {
+        if (i >= PLUGIN_SCRIPTS.length) return;
+        var s = document.createElement('script');
+        s.src = PLUGIN_SCRIPTS[i] + (PLUGIN_SCRIPTS[i].indexOf('?') >= 0 ? '&' : '?') + 't=' + Date.now();
+        s.onload = function () { loadPluginScript(i + 1); };
+        s.onerror = function () { console.error('Failed to load custom mode ' + PLUGIN_SCRIPTS[i]); loadPluginScript(i + 1); };
+        (document.head || document.documentElement).appendChild(s);
+    }
+
     function loadScript(i) {
         if (i >= SCRIPTS.length) {
-            /* All scripts loaded. Add ?v= to static img/link in HTML (favicon, mode icons). */
+            /* All scripts loaded. Add ?v= to static img/link in HTML (favicon, Juice Box button). */
             if (typeof withCacheBust === 'function') {
                 document.querySelectorAll('link[rel="icon"]').forEach(function (el) {
                     el.href = withCacheBust('favicon.png');
                 });
-                document.querySelectorAll('.mode-btn-icon, #juicebox-button img').forEach(function (img) {
+                document.querySelectorAll('#juicebox-button img').forEach(function (img) {
                     var src = img.getAttribute('src');
                     if (src) img.src = withCacheBust(src);
                 });
             }
+            loadPluginScript(0);
             return;
         }
         var s = document.createElement('script');
@@ -71,4 +120,14 @@
     }
 
     loadScript(0);
+
+    /* ---- 3. Offline play: service worker for this deploy (sw.js). Not in local dev,
+       where CACHE_BUST is 'dev' (or missing) and caching would hide edits. ---- */
+    if ('serviceWorker' in navigator && typeof CACHE_BUST !== 'undefined' && CACHE_BUST !== 'dev') {
+        window.addEventListener('load', function () {
+            navigator.serviceWorker.register(q('sw.js')).catch(function (err) {
+                console.warn('Service worker registration failed', err);
+            });
+        });
+    }
 })();
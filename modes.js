@@ -1,26 +1,256 @@
 /*
  * ============================================================
- *  JUICE BOX — Mode Config & Mode Select UI
+ *  JUICE BOX — Mode Definitions & Mode Select UI
  * ============================================================
- *  Configuration (accent colors) and layout (mode button height) for the
- *  mode select screen. Game modes themselves live in modes/*.js.
+ *  defineMode() turns a declarative mode descriptor (modes/*.js) into a playable
+ *  mode in window.MODES: everything about a mode — its title, icon, accent color,
+ *  music, selection sound, sprites, win rule and sounds — lives in that one object.
+ *  Find/collect modes need no hand-written generator or checkWin; the level is
+ *  generated from the descriptor's sprite sets and target counts.
+ *
+ *  Also the mode select screen: its buttons are built from the registered modes'
+ *  metadata (renderModeButtons), then sized (mode button height) and labelled (status text).
+ *
+ *  Dependencies: sprites.js (ALL_SPRITES), level.js, grid.js (via startModeLevel), audio.js, a11y.js (getSpriteLabel).
  * ============================================================
  */
 
-// Accent color from each mode's icon (used for liquid overlay during mode→level transition).
-const MODE_ACCENT_COLORS = {
-    'go-bananas': '#FF9900',      // banana (amber/orange)
-    'apple-of-my-eye': '#C0392B', // apple red (darker)
-    'perfect-pearing': '#7DCE82', // pear green
-    'peach-party': '#E8A87C',     // peach (darker)
-    'pick-a-pair': '#C0392B',     // cherry red
-    'subtle-tea': '#D94B2E'       // reddish-orange
-};
+// Played when a mode without its own selectSound is chosen, and on every win by default.
+const DEFAULT_SELECT_SOUND = 'audio/Success Jingle Plucking.mp3';
+const DEFAULT_WIN_SOUND = 'audio/Success Jingle Plucking.mp3';
 
-// Background music for modes that have it. Key = modeId, value = audio file path. Loops while in that mode.
-const MODE_BACKGROUND_MUSIC = {
-    'go-bananas': 'audio/Monkeys Spinning Monkeys.mp3'
-};
+/**
+ * A mode, as declared in its modes/*.js file. Only id, title, icon and accent are
+ * required; a mode with its own start() (e.g. Pick A Pair) ignores the level rules.
+ *
+ * @typedef {Object} ModeDescriptor
+ * @property {string} id             Key in window.MODES and data-mode of its button.
+ * @property {string} title          Display title (mode select, stats).
+ * @property {string} icon           Sprite shown on the mode button.
+ * @property {number} [order]        Position on the mode select screen (lower first). Modes without
+ *                                   one follow, in registration order.
+ * @property {string} accent         Liquid overlay color for the mode→level transition (from the icon).
+ * @property {string|string[]} [music]  Background music, looped while in the mode (a path, or paths in
+ *                                   preference order; see FAILURES in audio.js).
+ * @property {string} [selectSound]  Played when the mode is chosen. Default: DEFAULT_SELECT_SOUND.
+ * @property {string[]} [fillers]    Sprites for the other cells (random, duplicates allowed). May include
+ *                                   targets; every target on the grid counts. Default: ALL_SPRITES.
+ * @property {string[]} [targets]    Sprites the player looks for.
+ * @property {boolean} [oneTargetPerLevel]  Pick one of `targets` per level; only that one counts.
+ * @property {number|{ min: number, extraChances: number }} [targetCount]  Exactly n targets (default 1),
+ *                                   or at least `min` plus up to `extraChances` 50% extras (addExtraTargetsByChance).
+ * @property {string[]} [decorations]  Placed once each in non-target cells.
+ * @property {'find-one'|'collect-all'} [win]  'find-one' (default): tapping a target wins; it fades last.
+ *                                   'collect-all': each tapped target disappears; the last one wins.
+ * @property {string[]} [successSounds]  Variants played on each correct tap (see playSoundVariant).
+ *                                   Default: the tapped sprite's sound bank (getPickSounds); [] for none.
+ * @property {string} [winSound]     Played on the win. Default: DEFAULT_WIN_SOUND.
+ * @property {number} [winDelayMs]   Extra ms after the last target fades, before the drain/next level.
+ * @property {string} [prompt]       Screen reader prompt; by default built from the targets and win rule.
+ * @property {Object[]} [variants]   Level rules (fillers, targets, sounds…) that override the above,
+ *                                   cycled by level index (e.g. Subtle Tea's submodes).
+ * @property {{ columns: number, rows: number }} [grid]  Preferred grid, in portrait (turned to fit the
+ *                                   screen; see orientDimensions). Default: GRID_COLUMNS × GRID_ROWS.
+ * @property {number} [maxCells]     Most cells the mode can use; a smaller grid is used if lower.
+ *                                   Default: the whole preferred grid.
+ * @property {number} [bounceStaggerMaxMs]  Longest random delay before a cell bounces in (see buildGrid).
+ * @property {boolean} [sessionOptions]  False for modes that run their own session (Daily Challenge):
+ *                                   Time Attack (time-attack.js) and the session length don't apply to them.
+ * @property {Object[]} [difficulty] Difficulty curve: steps like { level: 3, maxCells: 16, fillers: [...] }
+ *                                   whose rules apply from that level of the session (1 = first) on, on
+ *                                   top of earlier steps. Typically a bigger grid, look-alike fillers,
+ *                                   more targets and a quicker bounce-in as the session goes on.
+ * @property {{ sprites?: string[], images?: string[], audio?: (string|string[])[] }} [assets]  Preload list (preload.js).
+ *                                   Default: every sprite and sound the descriptor names.
+ * @property {(gridEl: HTMLElement, opts: Object) => void} [start]  Hand-written levels instead of the
+ *                                   generated ones (see MODE CONTRACT in level.js).
+ * @property {boolean} [custom]      Set by plugins.js for modes loaded at runtime (?modes=).
+ */
+
+/**
+ * Registers a mode. The descriptor itself becomes window.MODES[id], so optional
+ * hooks (getSessionSeed, getStatus, getters) keep working; missing defaults,
+ * start() and assets are filled in.
+ *
+ * @param {ModeDescriptor} descriptor
+ * @returns {Object} The registered mode.
+ */
+function defineMode(descriptor) {
+    const mode = descriptor;
+    mode.selectSound ??= DEFAULT_SELECT_SOUND;
+    mode.maxCells ??= mode.grid ? mode.grid.columns * mode.grid.rows : GRID_COLUMNS * GRID_ROWS;
+    if (!mode.start) mode.start = (gridEl, opts) => startDescribedLevel(mode, gridEl, opts);
+    if (!('assets' in mode)) mode.assets = getDescribedAssets(mode);
+    window.MODES = window.MODES || {};
+    window.MODES[mode.id] = mode;
+    return mode;
+}
+
+/**
+ * Where a level sits on a difficulty curve: every step reached so far, merged in
+ * order, so each step only lists what changes. Also used by modes with their own
+ * start() (e.g. Pick A Pair).
+ *
+ * @param {Object[]} [curve] The mode's `difficulty` steps.
+ * @param {number} levelIndex Level index in the session (opts.levelIndex; 0 = "Level 1").
+ * @returns {Object} Rule overrides for the level (without `level`).
+ */
+function getDifficultyStep(curve, levelIndex) {
+    const { level, ...step } = Object.assign({}, ...(curve || []).filter((s) => s.level <= levelIndex + 1));
+    return step;
+}
+
+/**
+ * Level rules with defaults applied; a variant overrides the mode, and the
+ * difficulty step overrides both.
+ *
+ * @param {ModeDescriptor} mode
+ * @param {Object} variant Entry of mode.variants, or {}.
+ * @param {Object} step From getDifficultyStep.
+ * @returns {Object}
+ */
+function resolveLevelRules(mode, variant, step) {
+    return {
+        fillers: ALL_SPRITES,
+        targets: [],
+        targetCount: 1,
+        decorations: [],
+        win: 'find-one',
+        winSound: DEFAULT_WIN_SOUND,
+        winDelayMs: 0,
+        grid: { columns: GRID_COLUMNS, rows: GRID_ROWS },
+        bounceStaggerMaxMs: GRID_BOUNCE_STAGGER_MAX_MS,
+        ...mode,
+        ...variant,
+        ...step
+    };
+}
+
+/**
+ * The rules for one level of a described mode: its variant (cycled by level
+ * index) at its point on the difficulty curve.
+ *
+ * @param {ModeDescriptor} mode
+ * @param {number} levelIndex
+ * @returns {Object}
+ */
+function getLevelRules(mode, levelIndex) {
+    const variants = mode.variants || [{}];
+    return resolveLevelRules(mode, variants[levelIndex % variants.length], getDifficultyStep(mode.difficulty, levelIndex));
+}
+
+/**
+ * A described mode's icon and every sprite and sound it can use (each variant
+ * at each difficulty step), for preloading.
+ *
+ * @param {ModeDescriptor} mode
+ * @returns {{ sprites: string[], audio: (string|string[])[] }}
+ */
+function getDescribedAssets(mode) {
+    const steps = [{}, ...(mode.difficulty || []).map((s) => getDifficultyStep(mode.difficulty, s.level - 1))];
+    const allRules = (mode.variants || [{}]).flatMap((variant) =>
+        steps.map((step) => resolveLevelRules(mode, variant, step)));
+    return {
+        sprites: [mode.icon, ...allRules.flatMap((r) => [...r.fillers, ...r.targets, ...r.decorations])],
+        audio: [
+            mode.selectSound,
+            ...(mode.music ? [mode.music] : []),
+            ...allRules.flatMap((r) => [...(r.successSounds || r.targets.flatMap(getPickSounds)), r.winSound])
+        ]
+    };
+}
+
+/**
+ * Generates one level's items from a mode's level rules.
+ *
+ * @param {Object} rules From getLevelRules.
+ * @param {() => number} rng Level rng (opts.rng).
+ * @returns {{ items: string[], targets: string[] }} targets = the sprites that count this level.
+ */
+function generateDescribedLevel(rules, rng) {
+    const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
+    const targets = rules.oneTargetPerLevel ? [randomChoice(rules.targets, rng)] : rules.targets;
+    const pickTarget = () => (targets.length > 1 ? randomChoice(targets, rng) : targets[0]);
+    const items = fillWithRandom(totalCells, rules.fillers, rng);
+
+    if (typeof rules.targetCount === 'number') {
+        // Exactly targetCount targets, each in its own random cell.
+        const used = new Set();
+        for (let i = 0; i < Math.min(rules.targetCount, totalCells); i++) {
+            let idx;
+            do {
+                idx = randomInt(totalCells, rng);
+            } while (used.has(idx));
+            used.add(idx);
+            items[idx] = pickTarget();
+        }
+    } else {
+        const target = pickTarget();
+        ensureTargetPresent(items, target, rng, rules.targetCount.min);
+        addExtraTargetsByChance(items, target, rng, rules.targetCount.extraChances);
+    }
+
+    // Decorations go in random non-target cells, one of each.
+    const nonTargetIndices = items
+        .map((s, idx) => (targets.includes(s) ? -1 : idx))
+        .filter((idx) => idx >= 0);
+    const shuffled = shuffle(nonTargetIndices, rng);
+    rules.decorations.forEach((sprite, i) => {
+        if (shuffled[i] !== undefined) items[shuffled[i]] = sprite;
+    });
+
+    return { items, targets };
+}
+
+/**
+ * Screen reader prompt for a generated level (e.g. "Find every peach.", "Find the red apple.").
+ *
+ * @param {Object} rules
+ * @param {string[]} targets
+ * @returns {string}
+ */
+function describeLevelPrompt(rules, targets) {
+    if (rules.prompt) return rules.prompt;
+    const labels = targets.map(getSpriteLabel);
+    return rules.win === 'collect-all'
+        ? `Find every ${labels.join(' and ')}.`
+        : `Find the ${labels.join(' or ')}.`;
+}
+
+/**
+ * start() of a described mode: generates the level, builds its checkWin from
+ * the win rule and hands both to startModeLevel.
+ *
+ * @param {ModeDescriptor} mode
+ * @param {HTMLElement} gridEl The #grid element.
+ * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }.
+ */
+function startDescribedLevel(mode, gridEl, opts) {
+    const rules = getLevelRules(mode, opts.levelIndex);
+    computeGridDimensions(rules.maxCells, rules.grid);
+    const { items, targets } = generateDescribedLevel(rules, opts.rng);
+    const levelData = { items, prompt: describeLevelPrompt(rules, targets), targets, grid: rules.grid };
+    const levelOpts = { ...opts, bounceStaggerMaxMs: rules.bounceStaggerMaxMs };
+
+    if (rules.win === 'collect-all') {
+        const checkWin = (cell) => checkWinClickToRemove(gridEl, cell, targets, rules.successSounds);
+        startModeLevel(gridEl, {
+            ...levelOpts,
+            onWin: wrapOnWinWithJingleAndDelay(opts, rules.winDelayMs, rules.winSound)
+        }, rules.maxCells, levelData, checkWin);
+        return;
+    }
+
+    // Tapping a target wins; it's the macguffin, so it fades later than the rest.
+    const checkWin = (cell) => {
+        if (!targets.includes(cell.dataset.sprite)) return false;
+        const successSounds = rules.successSounds || getPickSounds(cell.dataset.sprite);
+        if (successSounds.length > 0) playSoundVariant(successSounds);
+        playOneshot(rules.winSound);
+        return { macguffin: cell.dataset.sprite, postClickedSpriteFadingPreTransitioningFadeMs: rules.winDelayMs };
+    };
+    startModeLevel(gridEl, levelOpts, rules.maxCells, levelData, checkWin);
+}
 
 /**
  * Sets mode button height via --mode-btn-height. Each button gets 1/(n+4) of
@@ -35,3 +265,114 @@ function updateModeButtonHeight() {
     const height = n > 0 ? `calc(100vh / ${n + 4})` : 'auto';
     document.documentElement.style.setProperty('--mode-btn-height', height);
 }
+
+/**
+ * Registered modes in mode select order: by `order`, then by registration order
+ * (modes without an `order` come last).
+ *
+ * @returns {Object[]} Entries of window.MODES.
+ */
+function getOrderedModes() {
+    const rank = (mode) => mode.order ?? Number.MAX_SAFE_INTEGER;
+    return Object.values(window.MODES || {}).sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Modes in mode select order with their display titles. Used by screens that
+ * list modes, e.g. stats.
+ *
+ * @returns {{ id: string, title: string }[]}
+ */
+function getModeSelectList() {
+    return getOrderedModes().map((mode) => ({ id: mode.id, title: mode.title || mode.id }));
+}
+
+/**
+ * Builds one mode select button from a mode's metadata: icon, title and, for a
+ * mode with getStatus(), a status line.
+ *
+ * @param {Object} mode Entry of window.MODES.
+ * @returns {HTMLButtonElement}
+ */
+function createModeButton(mode) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'mode-btn';
+    btn.dataset.mode = mode.id;
+    if (mode.icon) {
+        const icon = document.createElement('img');
+        icon.src = spriteSrc(mode.icon);  // Cache-busted like every sprite
+        icon.alt = '';
+        icon.className = 'mode-btn-icon';
+        btn.appendChild(icon);
+    }
+    const label = document.createElement('span');
+    label.className = 'moving-gradient-text';
+    label.textContent = mode.title || mode.id;
+    btn.appendChild(label);
+    if (mode.custom) {
+        // Loaded at runtime from ?modes= (plugins.js), not part of the game.
+        const marker = document.createElement('span');
+        marker.className = 'mode-btn-custom';
+        marker.textContent = 'custom';
+        btn.appendChild(marker);
+    }
+    if (mode.getStatus) {
+        const status = document.createElement('span');
+        status.className = 'mode-btn-status';
+        status.hidden = true;
+        btn.appendChild(status);
+    }
+    return btn;
+}
+
+/**
+ * Adds the button for a mode registered after the mode select screen was built
+ * (a custom mode; see plugins.js), in its place in the order.
+ *
+ * @param {HTMLElement} modeScreenEl The #mode-screen element.
+ * @param {Object} mode Entry of window.MODES.
+ * @returns {HTMLButtonElement} The new button.
+ */
+function addModeButton(modeScreenEl, mode) {
+    const btn = createModeButton(mode);
+    const ordered = getOrderedModes();
+    const nextMode = ordered[ordered.indexOf(mode) + 1];
+    const before = (nextMode && modeScreenEl.querySelector(`.mode-btn[data-mode="${CSS.escape(nextMode.id)}"]`))
+        || modeScreenEl.querySelector('.mode-screen-actions');
+    modeScreenEl.insertBefore(btn, before);
+    updateModeButtonHeight();
+    updateModeButtonStatuses();
+    return btn;
+}
+
+/**
+ * (Re)builds the mode buttons on the mode select screen from window.MODES, above
+ * the actions row (Stats, Settings), then sizes them and fills in their statuses.
+ *
+ * @param {HTMLElement} modeScreenEl The #mode-screen element.
+ */
+function renderModeButtons(modeScreenEl) {
+    modeScreenEl.querySelectorAll('.mode-btn').forEach((btn) => btn.remove());
+    const actions = modeScreenEl.querySelector('.mode-screen-actions');
+    getOrderedModes().forEach((mode) => modeScreenEl.insertBefore(createModeButton(mode), actions));
+    updateModeButtonHeight();
+    updateModeButtonStatuses();
+}
+
+/**
+ * Refreshes the small status text on each mode button (e.g. Daily Challenge's
+ * "✓ 1:23" once today's run is done). A mode opts in by implementing getStatus();
+ * an empty string hides the status. Called whenever the mode select screen is shown.
+ */
+function updateModeButtonStatuses() {
+    const modeScreen = document.getElementById('mode-screen');
+    if (!modeScreen) return;
+    modeScreen.querySelectorAll('.mode-btn').forEach((btn) => {
+        const statusEl = btn.querySelector('.mode-btn-status');
+        if (!statusEl) return;
+        const status = window.MODES?.[btn.dataset.mode]?.getStatus?.() || '';
+        statusEl.textContent = status;
+        statusEl.hidden = !status;
+    });
+}
@@ -7,67 +7,37 @@
  *  exactly one instance of that apple appears. The rest of the cells are
  *  filled with random sprites (duplicates allowed).
  *
- *  For this mode, maxCells equals the full grid (GRID_COLUMNS × GRID_ROWS).
+ *  Difficulty: starts on a 12-cell grid without apple look-alikes (cherries,
+ *  pears, lime…; spritesLike in sprites.js); the grid grows to the full grid (GRID_COLUMNS × GRID_ROWS),
+ *  the look-alikes join in and get more common, and cells bounce in quicker.
  * ============================================================
  */
 
 (function () {
-    const MAX_CELLS = GRID_COLUMNS * GRID_ROWS;
-
-    const APPLE_SPRITES = ['apple-red', 'apple-green', 'apple-gold'];
-    const NON_APPLE_SPRITES = ALL_SPRITES.filter(
-        (s) => s !== 'apple-red' && s !== 'apple-green' && s !== 'apple-gold'
-    );
-
-/**
- * Builds a random set of sprite names for one level.
- * Exactly one apple (red, green, or gold, chosen randomly) in a random position;
- * all other cells get random non-apple sprites (duplicates allowed).
- *
- * @returns {{ items: string[], apple: string }}
- */
-function generateLevelForTheModeCalledAppleOfMyEye() {
-    const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
-
-    const apple = APPLE_SPRITES[Math.floor(Math.random() * APPLE_SPRITES.length)];
-    const items = [];
-
-    for (let i = 0; i < totalCells; i++) {
-        items.push(
-            NON_APPLE_SPRITES[
-                Math.floor(Math.random() * NON_APPLE_SPRITES.length)
-            ]
-        );
-    }
-
-    const appleIndex = Math.floor(Math.random() * items.length);
-    items[appleIndex] = apple;
-
-    return { items, apple };
-}
-
-// Extra ms after the macguffin (apple) finishes fading, before the drain/next-level transition.
-const POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS = 100;
-
-const MODES = window.MODES || {};
-MODES['apple-of-my-eye'] = {
-    /**
-     * @param {HTMLElement} gridEl The #grid element.
-     * @param {Object} opts From app.js: { onWin, shouldIgnoreInput }. Spread into buildGrid.
-     */
-    start(gridEl, opts) {
-        const { items, apple } = generateLevelForTheModeCalledAppleOfMyEye();
-
-        // Clicking the macguffin (apple) wins; macguffin fades later than the rest.
-        const checkWin = (cell) => {
-            if (cell.dataset.sprite !== apple) return false;
-            playAppleBiteSound();
-            playOneshot('audio/Success Jingle Plucking.mp3');
-            return { macguffin: apple, postClickedSpriteFadingPreTransitioningFadeMs: POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS };
-        };
-
-        startModeLevel(gridEl, opts, MAX_CELLS, { items }, checkWin);
-    }
-};
-    window.MODES = MODES;
+    const APPLE_SPRITES = spritesWhere({ lookAlike: 'apples' });
+    const NON_APPLE_SPRITES = spritesExcept(APPLE_SPRITES);
+    // Round, red/green/gold fruit that are easy to mistake for an apple at a glance (sprites.js).
+    const APPLE_LOOK_ALIKES = spritesLike(APPLE_SPRITES);
+
+    defineMode({
+        id: 'apple-of-my-eye',
+        title: 'Apple Of My Eye',
+        order: 2,
+        icon: 'apple-red',
+        accent: '#C0392B',  // apple red (darker)
+
+        fillers: spritesExcept(APPLE_LOOK_ALIKES, NON_APPLE_SPRITES),
+        targets: APPLE_SPRITES,
+        oneTargetPerLevel: true,
+        maxCells: 12,
+        win: 'find-one',
+        winDelayMs: 100,  // Extra ms after the apple finishes fading, before the drain/next-level transition.
+
+        difficulty: [
+            { level: 3, maxCells: 16 },
+            { level: 5, maxCells: 20, fillers: NON_APPLE_SPRITES, bounceStaggerMaxMs: 450 },
+            // Look-alikes listed twice as often as the rest.
+            { level: 8, maxCells: 24, fillers: [...NON_APPLE_SPRITES, ...APPLE_LOOK_ALIKES], bounceStaggerMaxMs: 300 }
+        ]
+    });
 })();
@@ -0,0 +1,129 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Berry Good Memory
+ * ============================================================
+ *  Mode: a memory game. Every sprite appears twice and every cell starts
+ *  face down (the Juice Box; see FACE-DOWN CELLS in grid.js). The player
+ *  turns over two cells per turn: a matching pair stays face up, a mismatch
+ *  is shown for MISMATCH_SHOW_MS and turned back. Finding every pair wins.
+ *
+ *  A turn takes two taps, so checkWin keeps the turn's first card between
+ *  calls. Only whole turns are scored: the first tap just turns a card over
+ *  (checkWin returns null), the second resolves the turn — a match is a correct
+ *  tap, a mismatch a wrong one, announced with both cards' names. Mismatches are
+ *  how memory is played, so they cost no Time Attack time. Taps on face-up cells
+ *  are ignored (null too), and so is all input while a mismatch is shown.
+ *
+ *  Prefers a 4 × 6 grid (GRID): with four columns every grid it is reduced to
+ *  has an even number of cells. Difficulty: starts with 6 pairs and grows to 12,
+ *  with a quicker bounce-in (DIFFICULTY).
+ * ============================================================
+ */
+
+(function () {
+    const SPRITES_FOR_MEMORY = ALL_SPRITES;
+
+    const GRID = { columns: 4, rows: 6 };
+
+    // Difficulty curve (see getDifficultyStep in modes.js): more pairs to remember.
+    const DIFFICULTY = [
+        { level: 1, maxCells: 12 },
+        { level: 3, maxCells: 16 },
+        { level: 5, maxCells: 20, bounceStaggerMaxMs: 450 },
+        { level: 8, maxCells: 24, bounceStaggerMaxMs: 300 }
+    ];
+
+    // Ms a mismatched pair stays face up (after turning over) before turning back.
+    const MISMATCH_SHOW_MS = 1000;
+
+    // Extra ms after the last pair's cells fade, before the drain/next-level transition.
+    const WIN_DELAY_MS = 200;
+
+    /**
+     * Builds one level: pairs of distinct random sprites, shuffled.
+     *
+     * @param {() => number} rng Level rng (opts.rng).
+     * @returns {{ items: string[], pairCount: number }}
+     */
+    function generateMemoryLevel(rng) {
+        const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
+        if (totalCells % 2 !== 0) {
+            throw new Error(`Berry Good Memory needs an even number of cells; got ${totalCells}. Check GRID and DIFFICULTY.`);
+        }
+        const pairCount = totalCells / 2;
+        const sprites = shuffle(SPRITES_FOR_MEMORY, rng).slice(0, pairCount);
+        return { items: shuffle([...sprites, ...sprites], rng), pairCount };
+    }
+
+    defineMode({
+        id: 'berry-good-memory',
+        title: 'Berry Good Memory',
+        order: 8,
+        icon: 'blueberries',
+        accent: '#4F5BD5',  // blueberry blue
+        grid: GRID,
+
+        // Preloaded before the mode button is enabled (preload.js).
+        assets: { sprites: ['blueberries', ...SPRITES_FOR_MEMORY], audio: SPRITES_FOR_MEMORY.flatMap(getPickSounds) },
+
+        /**
+         * @param {HTMLElement} gridEl The #grid element.
+         * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }. Spread into buildGrid.
+         */
+        start(gridEl, opts) {
+            const { maxCells, bounceStaggerMaxMs } = getDifficultyStep(DIFFICULTY, opts.levelIndex);
+            computeGridDimensions(maxCells, GRID);  // The generator sizes the level from the grid
+            const { items, pairCount } = generateMemoryLevel(opts.rng);
+            let pairsLeft = pairCount;
+            let openCell = null;              // First card of the current turn, if turned over
+            let isShowingMismatch = false;    // Input is ignored until the mismatch turns back
+
+            let lastTurnFirstCell = null;     // First card of the turn just resolved, for describeWrongPick
+
+            const checkWin = (cell) => {
+                if (!isCellFaceDown(cell)) return null;  // A found pair, or this turn's first card
+                flipCell(cell, true);
+                const label = getSpriteLabel(cell.dataset.sprite);
+                if (!openCell) {
+                    openCell = cell;
+                    announce(`${label}.`);
+                    return null;  // Half a turn: scored with the second card
+                }
+
+                const first = openCell;
+                openCell = null;
+                lastTurnFirstCell = first;
+                if (first.dataset.sprite === cell.dataset.sprite) {
+                    pairsLeft--;
+                    playPickSound(cell.dataset.sprite);
+                    if (pairsLeft === 0) return true;
+                    announce(`${label}: a match! ${pairsLeft} left.`);
+                    return undefined;
+                }
+
+                isShowingMismatch = true;
+                setTimeout(() => {
+                    flipCell(first, false);
+                    flipCell(cell, false);
+                    isShowingMismatch = false;
+                }, CELL_FLIP_MS + MISMATCH_SHOW_MS);
+                return false;
+            };
+
+            startModeLevel(gridEl, {
+                ...opts,
+                bounceStaggerMaxMs,
+                faceDown: true,
+                shouldIgnoreInput: () => opts.shouldIgnoreInput() || isShowingMismatch,
+                onWrongTap: undefined,  // No Time Attack penalty for a mismatch (see above)
+                describeWrongPick: (cell) => `Not a match: ${getSpriteLabel(lastTurnFirstCell.dataset.sprite)} and ${getSpriteLabel(cell.dataset.sprite)}.`,
+                onWin: wrapOnWinWithJingleAndDelay(opts, WIN_DELAY_MS)
+            }, maxCells, {
+                items,
+                prompt: `Turn over two cards at a time to find all ${pairCount} pairs.`,
+                grid: GRID,
+                mirrored: items.map(() => false)  // Both cards of a pair face the same way
+            }, checkWin);
+        }
+    });
+})();
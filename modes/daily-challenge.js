@@ -0,0 +1,166 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Daily Challenge
+ * ============================================================
+ *  Mode: a fixed run of LEVEL_COUNT levels drawn from the other registered
+ *  modes, identical for every player on the same date. Each level is played
+ *  by delegating to that mode's start() with a date-derived rng, so the mode
+ *  order and every grid depend only on today's (local) date.
+ *
+ *  The run's time and wrong taps are the sums of each level's score (scoring.js,
+ *  delivered on the win result). After the last level the result is stored per
+ *  date in localStorage ("juicebox.daily") and the session ends with a summary
+ *  comparing today against previous days. Only the first completed run of a day
+ *  is kept; replays are shown as practice.
+ *
+ *  Runs are keyed by local date (getLocalDateKey in utils.js), so players in
+ *  the same place share a puzzle each morning.
+ *
+ *  Must load after the modes it draws from (see SCRIPTS in loader.js).
+ * ============================================================
+ */
+
+(function () {
+    const MODE_ID = 'daily-challenge';
+    const LEVEL_COUNT = 6;
+    const STORAGE_KEY = 'daily';
+    const PREVIOUS_DAYS_SHOWN = 7;
+
+    // Current run; reset whenever a session starts (levelIndex 0).
+    let run = null;
+
+    /**
+     * Formats a date key for display (e.g. "Mon, Oct 19").
+     *
+     * @param {string} dateKey "YYYY-MM-DD"
+     * @returns {string}
+     */
+    function formatDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    /** Session seed for a date; also reported by app.js in the level log line. */
+    function getSeedForDate(dateKey) {
+        return `daily-${dateKey}`;
+    }
+
+    /**
+     * Modes a run can draw from: every other built-in mode, sorted so registration
+     * order doesn't matter. Custom modes (?modes=, see plugins.js) are left out so
+     * every player gets the same run.
+     *
+     * @returns {string[]}
+     */
+    function getPlanModeIds() {
+        return Object.keys(window.MODES).filter((id) => id !== MODE_ID && !window.MODES[id].custom).sort();
+    }
+
+    /**
+     * Mode ids for each level of the date's run. The modes from getPlanModeIds are
+     * shuffled with the date's rng and cycled until LEVEL_COUNT levels are filled.
+     *
+     * @param {string} dateKey "YYYY-MM-DD"
+     * @returns {string[]}
+     */
+    function getPlanForDate(dateKey) {
+        const rng = createSeededRandom(hashSeed(getSeedForDate(dateKey)));
+        const modeIds = shuffle(getPlanModeIds(), rng);
+        return Array.from({ length: LEVEL_COUNT }, (_, i) => modeIds[i % modeIds.length]);
+    }
+
+    function loadResults() {
+        return loadStoredJson(STORAGE_KEY, {});
+    }
+
+    /**
+     * Stores today's result (first completion only) and builds the end-of-run summary.
+     *
+     * @returns {Object} Summary for showSummaryScreen (see summary.js).
+     */
+    function finishRun() {
+        const result = { timeMs: Math.round(run.totalMs), wrongTaps: run.wrongTaps };
+        const results = loadResults();
+        const official = results[run.dateKey];
+        if (!official) {
+            results[run.dateKey] = result;
+            saveStoredJson(STORAGE_KEY, results);
+        }
+
+        const previousRows = Object.keys(results)
+            .filter((dateKey) => dateKey < run.dateKey)
+            .sort()
+            .reverse()
+            .slice(0, PREVIOUS_DAYS_SHOWN)
+            .map((dateKey) => ({
+                label: formatDateKey(dateKey),
+                value: `${formatDuration(results[dateKey].timeMs)} · ${results[dateKey].wrongTaps} wrong`
+            }));
+
+        const sections = [{
+            rows: [
+                { label: 'Time', value: formatDuration(result.timeMs), highlight: true },
+                { label: 'Wrong taps', value: String(result.wrongTaps) }
+            ]
+        }];
+        if (previousRows.length > 0) sections.push({ heading: 'Previous days', rows: previousRows });
+
+        return {
+            title: 'Daily Challenge',
+            subtitle: formatDateKey(run.dateKey),
+            sections,
+            note: official
+                ? `Practice run — today's result stays ${formatDuration(official.timeMs)} with ${official.wrongTaps} wrong.`
+                : 'Come back tomorrow for a new run.'
+        };
+    }
+
+    defineMode({
+        id: MODE_ID,
+        title: 'Daily Challenge',
+        order: 100,  // Always last, after the regular modes
+        icon: 'unjuicable/shooting-stars',
+        accent: '#E5B800',  // shooting-star gold
+        sessionOptions: false,  // A fixed run of its own; Time Attack doesn't apply
+
+        /** Its icon and every other mode's assets (the plan can draw from any of them; see preload.js). */
+        get assets() {
+            return mergeAssets([{ sprites: [this.icon] }, ...getPlanModeIds().map((id) => window.MODES[id].assets || {})]);
+        },
+
+        /** Today's seed, so every player gets the same run regardless of ?seed=. */
+        getSessionSeed() {
+            return getSeedForDate(getLocalDateKey());
+        },
+
+        /** Status shown on the mode button: today's result once the run is done. */
+        getStatus() {
+            const today = loadResults()[getLocalDateKey()];
+            return today ? `✓ ${formatDuration(today.timeMs)}` : '';
+        },
+
+        /**
+         * @param {HTMLElement} gridEl The #grid element.
+         * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }.
+         */
+        start(gridEl, opts) {
+            if (opts.levelIndex === 0 || !run) {
+                // Date is fixed when the run starts, so a run crossing midnight stays one puzzle.
+                const dateKey = getLocalDateKey();
+                run = { dateKey, plan: getPlanForDate(dateKey), totalMs: 0, wrongTaps: 0 };
+            }
+            const modeId = run.plan[opts.levelIndex % LEVEL_COUNT];
+            const isLastLevel = opts.levelIndex >= LEVEL_COUNT - 1;
+
+            window.MODES[modeId].start(gridEl, {
+                ...opts,
+                rng: createLevelRandom(getSeedForDate(run.dateKey), modeId, opts.levelIndex),
+                onWin: (result) => {
+                    run.totalMs += result.score.timeMs;
+                    run.wrongTaps += result.score.wrongTaps;
+                    opts.onWin(isLastLevel ? { ...result, sessionSummary: finishRun() } : result);
+                }
+            });
+        }
+    });
+})();
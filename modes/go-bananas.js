@@ -6,49 +6,31 @@
  *  always at least one banana. Click/tap each banana to make it disappear.
  *  When all bananas are gone, the level is won.
  *
- *  For this mode, maxCells equals the full grid (GRID_COLUMNS × GRID_ROWS).
+ *  Difficulty: starts on a 12-cell grid and grows to a 5 × 6 grid (larger than
+ *  the default), with more bananas and a quicker bounce-in.
  * ============================================================
  */
 
-(function () {
-    const MAX_CELLS = GRID_COLUMNS * GRID_ROWS;
-    const TARGET = 'banana';
-
-    /**
- * Builds a random set of sprite names for one level. Each cell gets a random
- * sprite; duplicates are allowed. Ensures at least one banana.
- *
- * @returns {{ items: string[] }}
- */
-function generateLevelForTheModeCalledGoBananas() {
-    const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
-    const items = fillWithRandom(totalCells, ALL_SPRITES);
-
-    ensureTargetPresent(items, TARGET);
-    addExtraTargetsByChance(items, TARGET);
-
-    return { items };
-}
-
-// Extra ms after the last banana fades, before the drain/next-level transition.
-const POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS = 200;
-
-const MODES = window.MODES || {};
-MODES['go-bananas'] = {
-    /**
-     * @param {HTMLElement} gridEl The #grid element.
-     * @param {Object} opts From app.js: { onWin, shouldIgnoreInput }. Spread into buildGrid.
-     */
-    start(gridEl, opts) {
-        const { items } = generateLevelForTheModeCalledGoBananas();
-
-        const checkWin = (cell) => checkWinClickToRemove(gridEl, cell, TARGET);
-
-        startModeLevel(gridEl, {
-            ...opts,
-            onWin: wrapOnWinWithJingleAndDelay(opts, POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS)
-        }, MAX_CELLS, { items }, checkWin);
-    }
-};
-    window.MODES = MODES;
-})();
+defineMode({
+    id: 'go-bananas',
+    title: 'Go Bananas',
+    order: 1,
+    icon: 'banana',
+    accent: '#FF9900',  // banana (amber/orange)
+    selectSound: 'audio/Monkey Imitation.mp3',
+
+    fillers: ALL_SPRITES,  // Includes banana, so random fillers can add more.
+    targets: ['banana'],
+    targetCount: { min: 1, extraChances: 1 },
+    grid: { columns: 5, rows: 6 },
+    maxCells: 12,
+    win: 'collect-all',
+    winDelayMs: 200,  // Extra ms after the last banana fades, before the drain/next-level transition.
+
+    difficulty: [
+        { level: 3, maxCells: 16, targetCount: { min: 1, extraChances: 2 } },
+        { level: 5, maxCells: 20, targetCount: { min: 1, extraChances: 3 }, bounceStaggerMaxMs: 450 },
+        { level: 8, maxCells: 25, targetCount: { min: 2, extraChances: 4 }, bounceStaggerMaxMs: 300 },
+        { level: 11, maxCells: 30, targetCount: { min: 2, extraChances: 5 } }
+    ]
+});
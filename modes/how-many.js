@@ -0,0 +1,120 @@
+/*
+ * ============================================================
+ *  JUICE BOX — How Many?
+ * ============================================================
+ *  Mode: a counting game for younger players. The grid shows a mix of sprites
+ *  and the prompt asks how many of one of them there are ("How many
+ *  strawberries?"). The player answers on the answer panel (answer-panel.js)
+ *  under the grid; tapping the grid only points there (answersOnly,
+ *  pointToAnswerPanel). A wrong number is a wrong tap and is crossed out; the
+ *  right one wins, and the counted sprites fade last.
+ *
+ *  Level generation: exactly `count` cells show the asked sprite; every other
+ *  cell is a filler that can't be mistaken for it (no look-alikes, until the
+ *  later levels allow them). Sprites that are several things in one cell
+ *  (cherries, grapes, leaves…) are never asked about, so the count is clear.
+ *
+ *  Difficulty: starts with up to 4 to count among 12 cells and 3 choices, and
+ *  grows to up to 9 among 20 cells, 4 choices and look-alike fillers (DIFFICULTY).
+ * ============================================================
+ */
+
+(function () {
+    // Highest count asked for; with the choices around it, every answer is a single digit.
+    const MAX_COUNT = 9;
+
+    // One countable thing per cell: no clusters, leafy bunches or ginger roots.
+    const SPRITES_TO_COUNT = spritesExcept(spritesWhere({ shape: ['cluster', 'leafy', 'irregular'] }));
+
+    // Difficulty curve (see getDifficultyStep in modes.js): more to count, closer choices.
+    const DIFFICULTY = [
+        { level: 1, maxCells: 12, minCount: 1, maxCount: 4, choiceCount: 3, lookAlikeFillers: false },
+        { level: 3, maxCells: 16, maxCount: 6 },
+        { level: 5, maxCells: 20, minCount: 3, maxCount: MAX_COUNT, choiceCount: 4, bounceStaggerMaxMs: 450 },
+        { level: 8, lookAlikeFillers: true, bounceStaggerMaxMs: 300 }
+    ];
+
+    // Extra ms after the counted sprites finish fading, before the drain/next-level transition.
+    const POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS = 100;
+
+    /**
+     * Name of a sprite for "How many …?" (e.g. "strawberries", "peaches").
+     *
+     * @param {string} sprite
+     * @returns {string}
+     */
+    function getPluralLabel(sprite) {
+        const label = getSpriteLabel(sprite);
+        if (/[^aeiou]y$/.test(label)) return `${label.slice(0, -1)}ies`;
+        if (/(ch|sh|s|x)$/.test(label)) return `${label}es`;
+        return `${label}s`;
+    }
+
+    /**
+     * Builds one level: the sprite to count, how many there are, the grid's
+     * sprites in display order and the answer choices.
+     *
+     * @param {Object} step From getDifficultyStep(DIFFICULTY, levelIndex).
+     * @param {() => number} rng Level rng (opts.rng).
+     * @returns {{ items: string[], target: string, count: number, choices: number[] }}
+     *   choices: the count and (choiceCount - 1) other numbers near it, ascending.
+     */
+    function generateHowManyLevel({ minCount, maxCount, choiceCount, lookAlikeFillers }, rng) {
+        const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
+        const target = randomChoice(SPRITES_TO_COUNT, rng);
+        const count = Math.min(minCount + randomInt(maxCount - minCount + 1, rng), totalCells);
+
+        const fillers = lookAlikeFillers
+            ? spritesExcept(target)
+            : spritesExcept([target, ...spritesLike(target)]);
+        const items = fillWithRandom(totalCells, fillers, rng);
+        shuffle(items.map((_, index) => index), rng)
+            .slice(0, count)
+            .forEach((cellIndex) => { items[cellIndex] = target; });
+
+        // Wrong choices: numbers close to the count (1 to MAX_COUNT), picked at random.
+        const nearby = [];
+        for (let n = Math.max(1, count - choiceCount); n <= Math.min(MAX_COUNT, count + choiceCount); n++) {
+            if (n !== count) nearby.push(n);
+        }
+        const choices = [count, ...shuffle(nearby, rng).slice(0, choiceCount - 1)].sort((a, b) => a - b);
+        return { items, target, count, choices };
+    }
+
+    defineMode({
+        id: 'how-many',
+        title: 'How Many?',
+        order: 10,
+        icon: 'strawberry',
+        accent: '#E53950',  // strawberry red
+
+        // Preloaded before the mode button is enabled (preload.js).
+        assets: { sprites: ['strawberry', ...ALL_SPRITES], audio: SPRITES_TO_COUNT.flatMap(getPickSounds) },
+
+        /**
+         * @param {HTMLElement} gridEl The #grid element.
+         * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }. Spread into buildGrid.
+         */
+        start(gridEl, opts) {
+            const step = getDifficultyStep(DIFFICULTY, opts.levelIndex);
+            computeGridDimensions(step.maxCells);  // The generator sizes the level from the grid
+            const { items, target, count, choices } = generateHowManyLevel(step, opts.rng);
+
+            // The answer is picked on the answer panel; a tap on the grid points there and isn't scored.
+            const checkWin = () => {
+                pointToAnswerPanel();
+                return null;
+            };
+            const checkAnswer = (choice) => {
+                if (choice !== count) return false;
+                playPickSound(target);
+                playOneshot('audio/Success Jingle Plucking.mp3');
+                return { macguffin: target, postClickedSpriteFadingPreTransitioningFadeMs: POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS };
+            };
+
+            const prompt = `How many ${getPluralLabel(target)}? Answers: ${choices.join(', ')}.`;
+            startModeLevel(gridEl, { ...opts, bounceStaggerMaxMs: step.bounceStaggerMaxMs, answersOnly: true }, step.maxCells, { items, prompt }, checkWin);
+            showAnswerPanel(gridEl, { text: 'How many', sprite: target }, choices, checkAnswer);
+        }
+    });
+})();
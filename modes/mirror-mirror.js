@@ -0,0 +1,102 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Mirror Mirror
+ * ============================================================
+ *  Mode: every cell shows the same sprite (or, later, a small set of
+ *  look-alikes), all facing the same way except exactly one, which is
+ *  mirrored. The player finds and clicks the one facing the other way.
+ *
+ *  Unlike the other modes, the sprite says nothing about the answer: the
+ *  generator decides every cell's mirroring (levelData.mirrored, instead of
+ *  buildGrid's coin toss) and checkWin reads the tapped cell's orientation
+ *  (isCellMirrored in grid.js). Symmetric sprites (SPRITE_CATALOG) are left out,
+ *  since their odd one out would look like the rest.
+ *
+ *  Prefers a square 5 × 5 grid (GRID). Difficulty: starts with one sprite on a
+ *  12-cell grid and grows to the whole grid with up to three look-alike sprites
+ *  and a quicker bounce-in (DIFFICULTY).
+ * ============================================================
+ */
+
+(function () {
+    const SPRITES_FOR_MIRROR_MIRROR = spritesExcept(spritesWhere({ symmetric: true }));
+
+    // Square grid: the odd one out is as likely to be far across as far down.
+    const GRID = { columns: 5, rows: 5 };
+
+    // Difficulty curve (see getDifficultyStep in modes.js): more cells, then more sprites to compare.
+    const DIFFICULTY = [
+        { level: 1, maxCells: 12, spriteCount: 1 },
+        { level: 3, maxCells: 16 },
+        { level: 5, maxCells: 20, spriteCount: 2, bounceStaggerMaxMs: 450 },
+        { level: 8, maxCells: 25, spriteCount: 3, bounceStaggerMaxMs: 300 }
+    ];
+
+    // Extra ms after the odd one out finishes fading, before the drain/next-level transition.
+    const POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS = 100;
+
+    /**
+     * Builds one level: the sprites in display order and which of them are mirrored.
+     *
+     * Sprite selection: a random sprite, plus (spriteCount > 1) its look-alikes
+     * (spritesLike), topped up with any others if it has too few. Each sprite
+     * appears at least twice, so whichever cell is the odd one out has a copy
+     * facing the other way to compare it with; the rest of the cells are random
+     * picks among them.
+     *
+     * @param {number} spriteCount How many different sprites share the grid.
+     * @param {() => number} rng Level rng (opts.rng).
+     * @returns {{ items: string[], mirrored: boolean[], facing: boolean }}
+     *   - mirrored: per item, whether it is mirrored.
+     *   - facing:   the mirroring of every cell but the odd one out.
+     */
+    function generateMirrorMirrorLevel(spriteCount, rng) {
+        const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
+        const first = randomChoice(SPRITES_FOR_MIRROR_MIRROR, rng);
+        const lookAlikes = shuffle(spritesLike(first, SPRITES_FOR_MIRROR_MIRROR), rng);
+        const others = shuffle(spritesExcept([first, ...lookAlikes], SPRITES_FOR_MIRROR_MIRROR), rng);
+        const sprites = [first, ...lookAlikes, ...others].slice(0, Math.min(spriteCount, Math.floor(totalCells / 2)));
+
+        const items = shuffle([...sprites, ...sprites, ...fillWithRandom(totalCells - sprites.length * 2, sprites, rng)], rng);
+        const facing = randomCoinToss(rng);
+        const oddIndex = randomInt(totalCells, rng);
+        const mirrored = items.map((_, index) => (index === oddIndex ? !facing : facing));
+        return { items, mirrored, facing };
+    }
+
+    defineMode({
+        id: 'mirror-mirror',
+        title: 'Mirror Mirror',
+        order: 7,
+        icon: 'grapes',
+        accent: '#8E44AD',  // grape purple
+        grid: GRID,
+
+        // Preloaded before the mode button is enabled (preload.js).
+        assets: { sprites: ['grapes', ...SPRITES_FOR_MIRROR_MIRROR], audio: SPRITES_FOR_MIRROR_MIRROR.flatMap(getPickSounds) },
+
+        /**
+         * @param {HTMLElement} gridEl The #grid element.
+         * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }. Spread into buildGrid.
+         */
+        start(gridEl, opts) {
+            const { maxCells, spriteCount, bounceStaggerMaxMs } = getDifficultyStep(DIFFICULTY, opts.levelIndex);
+            computeGridDimensions(maxCells, GRID);  // The generator sizes the level from the grid
+            const { items, mirrored, facing } = generateMirrorMirrorLevel(spriteCount, opts.rng);
+            const isOddOneOut = (cell) => isCellMirrored(cell) !== facing;
+
+            // Only the odd one out wins; it fades later than the rest.
+            const checkWin = (cell) => {
+                if (!isOddOneOut(cell)) return false;
+                playPickSound(cell.dataset.sprite);
+                playOneshot('audio/Success Jingle Plucking.mp3');
+                return { macguffinCell: cell, postClickedSpriteFadingPreTransitioningFadeMs: POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS };
+            };
+            const prompt = spriteCount === 1
+                ? `Find the ${getSpriteLabel(items[0])} facing the other way.`
+                : 'Find the sprite facing the other way.';
+            startModeLevel(gridEl, { ...opts, bounceStaggerMaxMs }, maxCells,
+                { items, prompt, targets: isOddOneOut, grid: GRID, mirrored }, checkWin);
+        }
+    });
+})();
@@ -2,64 +2,43 @@
  * ============================================================
  *  JUICE BOX — Perfect Pearing
  * ============================================================
- *  Mode: All sprites are apple-green, apple-gold, lime, lemon, or melon
- *  (random, duplicates allowed). Exactly two pears appear. Click/tap each
- *  pear to make it disappear. When both pears are gone, the level is won.
- *  Plays the split sound when picking a pear; uses shared playSplitSound() to
- *  avoid repeating the same sound twice in a row across modes.
+ *  Mode: Exactly two pears appear, each randomly green or gold, among random
+ *  fillers (duplicates allowed). Click/tap each pear to make it disappear. When
+ *  both pears are gone, the level is won. Plays the pear's split sound (its sound
+ *  bank, shared across modes so the same sound never plays twice in a row).
  *
- *  For this mode, maxCells equals the full grid (GRID_COLUMNS × GRID_ROWS).
+ *  Difficulty: starts on a 12-cell grid with fillers that look nothing like a
+ *  pear; then green/gold apples, lime and lemon crowd in, the grid grows to the
+ *  full grid (GRID_COLUMNS × GRID_ROWS), a third pear appears and cells bounce
+ *  in quicker.
  * ============================================================
  */
 
-(function () {
-    const MAX_CELLS = GRID_COLUMNS * GRID_ROWS;
-
-    const FILLER_SPRITES = ['apple-green', 'apple-gold', 'lime', 'lemon', 'melon'];
-    const PEAR_SPRITES = ['pear-green', 'pear-gold'];
-
-/**
- * Builds a random set of sprite names for one level. Each cell gets a random
- * filler sprite; duplicates are allowed. Exactly two pears are placed, each
- * randomly pear-green or pear-gold (so we may have both green, both gold, or one of each).
- *
- * @returns {{ items: string[] }}
- */
-function generateLevelForTheModeCalledPerfectPearing() {
-    const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
-    const items = fillWithRandom(totalCells, FILLER_SPRITES);
-
-    // Place exactly two pears in random positions; each is randomly green or gold
-    const idx1 = Math.floor(Math.random() * items.length);
-    items[idx1] = PEAR_SPRITES[Math.floor(Math.random() * PEAR_SPRITES.length)];
-    let idx2;
-    do {
-        idx2 = Math.floor(Math.random() * items.length);
-    } while (idx2 === idx1);
-    items[idx2] = PEAR_SPRITES[Math.floor(Math.random() * PEAR_SPRITES.length)];
-
-    return { items };
-}
-
-// Extra ms after the last pear fades, before the drain/next-level transition.
-const POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS = 200;
-
-const MODES = window.MODES || {};
-MODES['perfect-pearing'] = {
-    /**
-     * @param {HTMLElement} gridEl The #grid element.
-     * @param {Object} opts From app.js: { onWin, shouldIgnoreInput }. Spread into buildGrid.
-     */
-    start(gridEl, opts) {
-        const { items } = generateLevelForTheModeCalledPerfectPearing();
-
-        const checkWin = (cell) => checkWinClickToRemove(gridEl, cell, PEAR_SPRITES);
-
-        startModeLevel(gridEl, {
-            ...opts,
-            onWin: wrapOnWinWithJingleAndDelay(opts, POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS)
-        }, MAX_CELLS, { items }, checkWin);
-    }
-};
-    window.MODES = MODES;
-})();
+defineMode({
+    id: 'perfect-pearing',
+    title: 'Perfect Pearing',
+    order: 3,
+    icon: 'pear-green',
+    accent: '#7DCE82',  // pear green
+
+    fillers: ['apple-red', 'tangerine', 'strawberry', 'blueberries'],
+    targets: ['pear-green', 'pear-gold'],
+    targetCount: 2,
+    maxCells: 12,
+    win: 'collect-all',
+    winDelayMs: 200,  // Extra ms after the last pear fades, before the drain/next-level transition.
+    prompt: 'Find both pears.',
+
+    difficulty: [
+        { level: 3, maxCells: 16, fillers: ['apple-green', 'apple-gold', 'melon', 'tangerine'] },
+        { level: 5, maxCells: 20, fillers: ['apple-green', 'apple-gold', 'lime', 'lemon', 'melon'], bounceStaggerMaxMs: 450 },
+        {
+            level: 8,
+            maxCells: 24,
+            fillers: ['apple-green', 'apple-gold', 'lime', 'lemon', 'avocado'],
+            targetCount: 3,
+            prompt: 'Find all three pears.',
+            bounceStaggerMaxMs: 300
+        }
+    ]
+});
@@ -13,17 +13,31 @@
  *
  *  Cherries excluded so players don't assume from the mode icon that they must hunt for cherries.
  *  maxCells = SPRITES_FOR_PICK_A_PAIR.length + 1.
+ *
+ *  Prefers a square 5 × 5 grid (GRID). Difficulty: starts on a 12-cell grid and
+ *  grows to the largest grid (up to maxCells) with a quicker bounce-in (DIFFICULTY).
  * ============================================================
  */
 
 (function () {
     // Exclude cherries so players don't assume from the mode icon that they must hunt for cherries.
     // Exclude leaves-falling (used in Subtle Tea with its own sound).
-    const SPRITES_FOR_PICK_A_PAIR = ALL_SPRITES.filter((s) => s !== 'cherries' && s !== 'leaves-falling');
+    const SPRITES_FOR_PICK_A_PAIR = spritesExcept(['cherries', 'leaves-falling']);
 
     // For this mode, the max cells is all unique sprites + 1 duplicate.
     const MAX_CELLS = SPRITES_FOR_PICK_A_PAIR.length + 1;
 
+    // Square grid: the pair is as likely to be far apart across as down.
+    const GRID = { columns: 5, rows: 5 };
+
+    // Difficulty curve (see getDifficultyStep in modes.js): more sprites to scan, faster bounce-in.
+    const DIFFICULTY = [
+        { level: 1, maxCells: 12 },
+        { level: 3, maxCells: 16 },
+        { level: 5, maxCells: 20, bounceStaggerMaxMs: 450 },
+        { level: 8, maxCells: MAX_CELLS, bounceStaggerMaxMs: 300 }
+    ];
+
     /**
  * Builds a randomized set of sprite names for one level.
  *
@@ -39,11 +53,12 @@
  * shuffle (up to 50 times). On very small grids where separation is impossible,
  * we accept adjacent as fallback.
  *
+ * @param {() => number} rng Level rng (opts.rng).
  * @returns {{ items: string[], macguffin: string }}
  *   - items:     Sprite names in display order (one sprite appears twice).
  *   - macguffin: The sprite name that appears twice.
  */
-function generateLevelForTheModeCalledPickAPair() {
+function generateLevelForTheModeCalledPickAPair(rng) {
     const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
 
     // This mode needs a duplicate, so at least 2 cells are required. With 1 cell,
@@ -64,15 +79,15 @@ function generateLevelForTheModeCalledPickAPair() {
 
     if (totalCells >= MAX_CELLS) {
         // Full grid: use every sprite once, plus one duplicate of a random sprite
-        chosen = shuffle(SPRITES_FOR_PICK_A_PAIR);
-        macguffin = chosen[Math.floor(Math.random() * chosen.length)];
+        chosen = shuffle(SPRITES_FOR_PICK_A_PAIR, rng);
+        macguffin = randomChoice(chosen, rng);
         chosen = [...chosen, macguffin];
     } else {
         // Smaller grid: use (totalCells - 1) unique sprites + 1 duplicate = totalCells items
         const numUniqueSpritesNeeded = totalCells - 1;
-        const shuffledAll = shuffle(SPRITES_FOR_PICK_A_PAIR);
+        const shuffledAll = shuffle(SPRITES_FOR_PICK_A_PAIR, rng);
         chosen = shuffledAll.slice(0, numUniqueSpritesNeeded);
-        macguffin = chosen[Math.floor(Math.random() * chosen.length)];
+        macguffin = randomChoice(chosen, rng);
         chosen = [...chosen, macguffin];
     }
 
@@ -83,7 +98,7 @@ function generateLevelForTheModeCalledPickAPair() {
     // retry with a new shuffle—a different random arrangement may place them
     // non-adjacent or allow a swap; (d) after max attempts, accept adjacent
     // (fallback for grids where separation is impossible).
-    let items = shuffle(chosen);
+    let items = shuffle(chosen, rng);
     let macguffinIndices = [];
     const cols = ACTUAL_GRID_COLUMNS;
     const maxAttempts = 50;
@@ -112,11 +127,11 @@ function generateLevelForTheModeCalledPickAPair() {
             }
         }
         if (validSwapPositions.length > 0) {
-            const swapIndex = validSwapPositions[Math.floor(Math.random() * validSwapPositions.length)];
+            const swapIndex = randomChoice(validSwapPositions, rng);
             [items[macguffinIndices[1]], items[swapIndex]] = [items[swapIndex], items[macguffinIndices[1]]];
             break;
         }
-        if (attempt < maxAttempts - 1) items = shuffle(chosen);
+        if (attempt < maxAttempts - 1) items = shuffle(chosen, rng);
     }
 
     // --- Final sanity checks ---
@@ -135,28 +150,35 @@ function generateLevelForTheModeCalledPickAPair() {
 // Extra ms after the macguffins finish fading, before the drain/next-level transition.
 const POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS = 100;
 
-const MODES = window.MODES || {};
-MODES['pick-a-pair'] = {
+defineMode({
+    id: 'pick-a-pair',
+    title: 'Pick A Pair',
+    order: 6,
+    icon: 'cherries',
+    accent: '#C0392B',  // cherry red
+    grid: GRID,
+    maxCells: MAX_CELLS,
+
+    // Preloaded before the mode button is enabled (preload.js).
+    assets: { sprites: ['cherries', ...SPRITES_FOR_PICK_A_PAIR], audio: SPRITES_FOR_PICK_A_PAIR.flatMap(getPickSounds) },
+
     /**
      * @param {HTMLElement} gridEl The #grid element.
-     * @param {Object} opts From app.js: { onWin, shouldIgnoreInput }. Spread into buildGrid.
+     * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng }. Spread into buildGrid.
      */
     start(gridEl, opts) {
-        const { items, macguffin } = generateLevelForTheModeCalledPickAPair();
+        const { maxCells, bounceStaggerMaxMs } = getDifficultyStep(DIFFICULTY, opts.levelIndex);
+        computeGridDimensions(maxCells, GRID);  // The generator sizes the level from the grid
+        const { items, macguffin } = generateLevelForTheModeCalledPickAPair(opts.rng);
 
         // Clicking either macguffin wins; macguffins fade later than the rest.
-        const APPLE_SPRITES = ['apple-red', 'apple-green', 'apple-gold'];
         const checkWin = (cell) => {
             if (cell.dataset.sprite !== macguffin) return false;
-            const playSuccessSound = macguffin === 'leaves-falling' ? playRustlingLeavesSound
-                : APPLE_SPRITES.includes(macguffin) ? playAppleBiteSound
-                : playSplitSound;
-            playSuccessSound();
+            playPickSound(macguffin);
             playOneshot('audio/Success Jingle Plucking.mp3');
             return { macguffin, postClickedSpriteFadingPreTransitioningFadeMs: POST_CLICKEDSPRITE_FADING_PRETRANSITIONING_FADE_MS };
         };
-        startModeLevel(gridEl, opts, MAX_CELLS, { items }, checkWin);
+        startModeLevel(gridEl, { ...opts, bounceStaggerMaxMs }, maxCells, { items, prompt: 'Find one of the two matching sprites.', targets: [macguffin], grid: GRID }, checkWin);
     }
-};
-    window.MODES = MODES;
+});
 })();
@@ -0,0 +1,97 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Recipe for Success
+ * ============================================================
+ *  Mode: a recipe of 3–6 different sprites is shown above the grid (the recipe
+ *  strip; recipe-strip.js), e.g. carrot → ginger → red apple. The player taps
+ *  a matching cell for each step, in order; the last step wins.
+ *
+ *  checkWin follows the recipe: any cell with the next step's sprite moves the
+ *  strip along; anything else is a wrong tap and sends progress back one step
+ *  (the player taps that step's sprite again; the announcement says which).
+ *  Hints point at the next step.
+ *
+ *  Level generation: random fillers from every sprite, then each recipe sprite
+ *  in a cell of its own, so every step can be found. Fillers may add extra
+ *  copies of recipe sprites; any of them counts.
+ *
+ *  Difficulty: the recipe grows from 3 to 6 steps as the grid grows from 12
+ *  cells to the whole 4 × 6 grid (DIFFICULTY).
+ * ============================================================
+ */
+
+(function () {
+    const SPRITES_FOR_RECIPES = ALL_SPRITES;
+
+    // Difficulty curve (see getDifficultyStep in modes.js): longer recipes on bigger grids.
+    const DIFFICULTY = [
+        { level: 1, maxCells: 12, recipeLength: 3 },
+        { level: 3, maxCells: 16, recipeLength: 4 },
+        { level: 5, maxCells: 20, recipeLength: 5, bounceStaggerMaxMs: 450 },
+        { level: 8, maxCells: 24, recipeLength: 6, bounceStaggerMaxMs: 300 }
+    ];
+
+    /**
+     * Builds one level: the recipe and the grid's sprites in display order.
+     *
+     * @param {number} recipeLength Steps in the recipe (capped at the number of cells).
+     * @param {() => number} rng Level rng (opts.rng).
+     * @returns {{ items: string[], recipe: string[] }}
+     */
+    function generateRecipeLevel(recipeLength, rng) {
+        const totalCells = ACTUAL_GRID_COLUMNS * ACTUAL_GRID_ROWS;
+        const recipe = shuffle(SPRITES_FOR_RECIPES, rng).slice(0, Math.min(recipeLength, totalCells));
+        const items = fillWithRandom(totalCells, SPRITES_FOR_RECIPES, rng);
+        // One cell of its own per step: a later step can't overwrite an earlier one's only copy.
+        shuffle(items.map((_, index) => index), rng)
+            .slice(0, recipe.length)
+            .forEach((cellIndex, step) => { items[cellIndex] = recipe[step]; });
+        return { items, recipe };
+    }
+
+    defineMode({
+        id: 'recipe-for-success',
+        title: 'Recipe for Success',
+        order: 9,
+        icon: 'ginger',
+        accent: '#D9A45B',  // ginger tan
+
+        // Preloaded before the mode button is enabled (preload.js).
+        assets: { sprites: ['ginger', ...SPRITES_FOR_RECIPES], audio: SPRITES_FOR_RECIPES.flatMap(getPickSounds) },
+
+        /**
+         * @param {HTMLElement} gridEl The #grid element.
+         * @param {Object} opts From app.js: { onWin, shouldIgnoreInput, rng, levelIndex }. Spread into buildGrid.
+         */
+        start(gridEl, opts) {
+            const { maxCells, recipeLength, bounceStaggerMaxMs } = getDifficultyStep(DIFFICULTY, opts.levelIndex);
+            computeGridDimensions(maxCells);  // The generator sizes the level from the grid
+            const { items, recipe } = generateRecipeLevel(recipeLength, opts.rng);
+            let stepsDone = 0;
+
+            const checkWin = (cell) => {
+                if (cell.dataset.sprite !== recipe[stepsDone]) {
+                    stepsDone = Math.max(0, stepsDone - 1);
+                    setRecipeProgress(stepsDone);
+                    return false;
+                }
+                stepsDone++;
+                setRecipeProgress(stepsDone);
+                playPickSound(cell.dataset.sprite);
+                if (stepsDone < recipe.length) {
+                    announce(`Next: ${getSpriteLabel(recipe[stepsDone])}.`);
+                    return undefined;
+                }
+                playOneshot('audio/Success Jingle Plucking.mp3');
+                return true;
+            };
+
+            showRecipeStrip(recipe);
+            const prompt = `Tap them in order: ${recipe.map(getSpriteLabel).join(', ')}.`;
+            const isNextStep = (cell) => cell.dataset.sprite === recipe[stepsDone];
+            // After a wrong tap has rewound progress: name the step to tap again.
+            const describeWrongPick = (cell) => `Not that one: ${getSpriteLabel(cell.dataset.sprite)}. Next: ${getSpriteLabel(recipe[stepsDone])}.`;
+            startModeLevel(gridEl, { ...opts, bounceStaggerMaxMs, describeWrongPick }, maxCells, { items, prompt, targets: isNextStep }, checkWin);
+        }
+    });
+})();
@@ -0,0 +1,100 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Panel Cards
+ * ============================================================
+ *  Builds the frosted-glass card used by the menu-style screens that show
+ *  information rather than sprites (session summary, stats, settings). Content is a
+ *  plain object, so each screen decides what to show and this file only
+ *  decides how. Styles: .panel-* in style.css.
+ *
+ *  Dependencies: none.
+ * ============================================================
+ */
+
+/**
+ * Creates a panel card element.
+ *
+ * @param {Object} content
+ * @param {string} content.title                 Heading (e.g. "Daily Challenge")
+ * @param {string} [content.subtitle]            Line under the heading (e.g. the date)
+ * @param {{ heading?: string, rows: { label: string, value: string, highlight?: boolean }[], empty?: string }[]} [content.sections]
+ *   Label/value rows, optionally under a heading. `empty` is shown instead when rows is empty.
+ * @param {HTMLElement[]} [content.content]      Custom elements under the sections (e.g. settings controls)
+ * @param {string} [content.note]                Small print under the sections
+ * @param {{ label: string, onClick: Function, className?: string }[]} [content.buttons]
+ * @returns {HTMLElement}
+ */
+function createPanelCard({ title, subtitle, sections = [], content = [], note, buttons = [] }) {
+    const card = document.createElement('div');
+    card.className = 'panel-card';
+
+    const titleEl = document.createElement('h2');
+    titleEl.className = 'panel-title moving-gradient-text';
+    titleEl.textContent = title;
+    card.appendChild(titleEl);
+
+    if (subtitle) {
+        const subtitleEl = document.createElement('p');
+        subtitleEl.className = 'panel-subtitle';
+        subtitleEl.textContent = subtitle;
+        card.appendChild(subtitleEl);
+    }
+
+    sections.forEach((section) => {
+        if (section.heading) {
+            const heading = document.createElement('h3');
+            heading.className = 'panel-heading';
+            heading.textContent = section.heading;
+            card.appendChild(heading);
+        }
+        if (section.rows.length === 0 && section.empty) {
+            const empty = document.createElement('p');
+            empty.className = 'panel-empty';
+            empty.textContent = section.empty;
+            card.appendChild(empty);
+            return;
+        }
+        const list = document.createElement('dl');
+        list.className = 'panel-rows';
+        section.rows.forEach((row) => {
+            const label = document.createElement('dt');
+            label.textContent = row.label;
+            const value = document.createElement('dd');
+            value.textContent = row.value;
+            if (row.highlight) {
+                label.classList.add('highlight');
+                value.classList.add('highlight');
+            }
+            list.append(label, value);
+        });
+        card.appendChild(list);
+    });
+
+    content.forEach((el) => card.appendChild(el));
+
+    if (note) {
+        const noteEl = document.createElement('p');
+        noteEl.className = 'panel-note';
+        noteEl.textContent = note;
+        card.appendChild(noteEl);
+    }
+
+    if (buttons.length > 0) {
+        const actions = document.createElement('div');
+        actions.className = 'panel-actions';
+        buttons.forEach(({ label, onClick, className }) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = className ? `panel-btn ${className}` : 'panel-btn';
+            btn.textContent = label;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick(btn);
+            });
+            actions.appendChild(btn);
+        });
+        card.appendChild(actions);
+    }
+
+    return card;
+}
@@ -0,0 +1,135 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Custom Mode Plugins
+ * ============================================================
+ *  Lets a new mode be tried without a deploy. loader.js loads the scripts listed
+ *  in ?modes= (comma-separated same-origin paths, e.g. ?modes=prototypes/kiwi.js)
+ *  after SCRIPTS, and each one registers its mode through window.JuiceBox:
+ *
+ *    JuiceBox.registerMode({
+ *      id: 'kiwi-quest', title: 'Kiwi Quest', icon: 'kiwi', accent: '#8EE53F',
+ *      fillers: ['lime', 'greens'], targets: ['kiwi'], win: 'collect-all'
+ *    });
+ *
+ *  registerMode takes the same descriptor as defineMode (see ModeDescriptor in
+ *  modes.js). A mode whose rules don't fit gives its own start(gridEl, opts) and
+ *  builds the level with JuiceBox.gridSize / startLevel / collectTarget / delayWin,
+ *  playing sounds through JuiceBox.audio. window.JuiceBox is the only surface
+ *  plugins should use; everything else may change without notice.
+ *
+ *  Custom modes get a "custom" marker on their mode button, follow the built-in
+ *  modes (unless they set `order`) and are left out of the Daily Challenge, whose
+ *  run must be the same for every player. Only same-origin scripts are loaded:
+ *  a plugin runs with full access to the page, including saved stats.
+ *
+ *  Dependencies: modes.js (defineMode, addModeButton), sprites.js, level.js, audio.js,
+ *  preload.js (preloadModeButton), a11y.js, utils.js.
+ * ============================================================
+ */
+
+// Bumped when window.JuiceBox changes incompatibly, so a plugin can check what it runs on.
+const PLUGIN_API_VERSION = 1;
+
+/**
+ * Registers a custom mode and adds its (preloading) button to the mode select
+ * screen. An id that is already taken is refused, so a plugin can't replace a
+ * built-in mode.
+ *
+ * @param {ModeDescriptor} descriptor
+ * @returns {Object|null} The registered mode, or null if refused.
+ */
+function registerPluginMode(descriptor) {
+    if (!descriptor?.id) {
+        console.warn('Custom mode not registered: missing id.');
+        return null;
+    }
+    if (window.MODES?.[descriptor.id]) {
+        console.warn(`Custom mode not registered: id "${descriptor.id}" is taken.`);
+        return null;
+    }
+    const mode = defineMode({ ...descriptor, custom: true });
+    const modeScreenEl = document.getElementById('mode-screen');
+    if (modeScreenEl) preloadModeButton(addModeButton(modeScreenEl, mode));
+    return mode;
+}
+
+window.JuiceBox = Object.freeze({
+    apiVersion: PLUGIN_API_VERSION,
+    registerMode: registerPluginMode,
+
+    /** Every built-in sprite name (icons, fillers and targets must come from these). */
+    sprites: Object.freeze([...ALL_SPRITES]),
+    getSpriteLabel,
+    /** Sprite catalog (sprites.js): attributes of a sprite, and sprite sets picked by them. */
+    getSpriteInfo,
+    spritesWhere,
+    spritesLike,
+    spritesUnlike,
+    spritesExcept,
+
+    /**
+     * Sets the grid up for a mode and returns its size; call before generating items.
+     *
+     * @param {number} [maxCells] Most cells the mode can use. Default: the full grid.
+     * @param {{ columns: number, rows: number }} [grid] Preferred grid, in portrait. Pass the same to startLevel.
+     * @returns {{ columns: number, rows: number, cells: number }}
+     */
+    gridSize(maxCells = GRID_COLUMNS * GRID_ROWS, grid) {
+        const { actualColumns, actualRows } = computeGridDimensions(maxCells, grid);
+        return { columns: actualColumns, rows: actualRows, cells: actualColumns * actualRows };
+    },
+
+    /**
+     * Shows a level (startModeLevel): builds the grid and announces the level.
+     *
+     * @param {HTMLElement} gridEl From start(gridEl, opts).
+     * @param {Object} opts From start(gridEl, opts), with onWin possibly wrapped (see delayWin).
+     * @param {{ items: string[], prompt?: string, targets?: string[], maxCells?: number, grid?: { columns: number, rows: number } }} levelData
+     *   targets: the sprites that count this level, so hints can point at them.
+     * @param {(cell: HTMLElement) => (false|undefined|true|Object)} checkWin
+     */
+    startLevel(gridEl, opts, { maxCells = GRID_COLUMNS * GRID_ROWS, ...levelData }, checkWin) {
+        startModeLevel(gridEl, opts, maxCells, levelData, checkWin);
+    },
+
+    /**
+     * checkWin step for collect-all rules (checkWinClickToRemove): removes a tapped
+     * target and reports true once none are left.
+     *
+     * @param {HTMLElement} gridEl
+     * @param {HTMLElement} cell
+     * @param {string|string[]} targets
+     * @param {string[]} [successSounds] Default: the tapped sprite's pick sounds (JuiceBox.audio.pickSounds).
+     * @returns {false|undefined|true}
+     */
+    collectTarget(gridEl, cell, targets, successSounds) {
+        return checkWinClickToRemove(gridEl, cell, targets, successSounds);
+    },
+
+    /**
+     * Wraps opts.onWin so it plays the win jingle and waits for the last target
+     * to fade (wrapOnWinWithJingleAndDelay). For collect-all levels.
+     *
+     * @param {Object} opts
+     * @param {number} [postFadeMs=0]
+     * @returns {Function}
+     */
+    delayWin(opts, postFadeMs = 0) {
+        return wrapOnWinWithJingleAndDelay(opts, postFadeMs);
+    },
+
+    /** Seeded helpers; pass opts.rng so levels replay with ?seed=. */
+    random: Object.freeze({ int: randomInt, choice: randomChoice, shuffle, fill: fillWithRandom }),
+
+    audio: Object.freeze({
+        /** Plays a sound once (a path, or paths in preference order). Returns a handle for stop(). */
+        play: (src) => playOneshot(src),
+        /** Plays one of several variants at random, never the same twice in a row. */
+        playVariant: (srcs) => playSoundVariant(srcs),
+        /** The sounds played when a sprite is picked correctly (its sound bank in audio.js). */
+        pickSounds: (sprite) => getPickSounds(sprite),
+        /** Stops a sound, optionally fading it out over fadeMs. */
+        stop: (handle, fadeMs = 0) => (fadeMs > 0 ? fadeOutAudio(handle, fadeMs) : stopSound(handle)),
+        sounds: Object.freeze({ split: SPLIT_SOUNDS, appleBite: APPLE_BITE_SOUNDS, rustlingLeaves: RUSTLING_LEAVES_SOUNDS })
+    })
+});
@@ -0,0 +1,3 @@
+// Auto-generated by scripts/inject-version.cjs during deploy. Default for local dev
+// (the service worker is not registered while CACHE_BUST is 'dev').
+self.PRECACHE_URLS = [];
@@ -0,0 +1,177 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Asset Preloader
+ * ============================================================
+ *  Loads sprites (decoded images) and audio (decoded buffers, see audio.js)
+ *  ahead of time, in two stages:
+ *  1. SHARED_ASSETS — everything the title, mode select and every level use —
+ *     behind the loading screen (#loading-screen). The title appears once they
+ *     (and the fonts) are ready.
+ *  2. Each mode's own assets (MODES[id].assets), in mode select order, in the
+ *     background. A mode button stays disabled until its mode is ready, so the
+ *     first level never shows broken images or misses its sounds.
+ *
+ *  Each asset is loaded once; a failed asset is logged and counted as done so
+ *  one bad file can't keep the game (or a mode) locked.
+ *
+ *  Dependencies: sprites.js (SPRITE_CATALOG), level.js (spriteSrc), utils.js (withCacheBust), audio.js (loadAudioBuffer, reportAudioFailure).
+ * ============================================================
+ */
+
+// Used on every screen or in every level, whatever the mode.
+const SHARED_ASSETS = {
+    sprites: Object.keys(SPRITE_CATALOG),  // Title flying sprites (juicable or not) and the mode icons
+    images: ['favicon.png'],  // The Juice Box: title button, flying sprite and face-down cells
+    audio: [
+        'audio/Bubble Up.mp3',
+        'audio/Mouth Pop.mp3',
+        'audio/Juicebox Empty.mp3',
+        'audio/Juicebox Straw.mp3',
+        'audio/Scatter Plops.mp3',
+        'audio/Success Jingle Plucking.mp3',
+        'audio/Windchimes Jingling.mp3',
+        'audio/Windchimes Tinkling.mp3'
+    ]
+};
+
+const preloadedAssets = new Map();  // Key = "sprite:<name>", "image:<src>" or "audio:<src>", value = Promise<boolean> (loaded OK)
+const preloadedImages = [];         // Keeps decoded images referenced so the browser keeps them decoded.
+
+/**
+ * Loads and decodes one image.
+ *
+ * @param {string} src Cache-busted URL (spriteSrc, withCacheBust).
+ * @param {string} what Named in the warning if it fails (e.g. "sprite banana").
+ * @returns {Promise<boolean>} True if it loaded.
+ */
+function preloadImage(src, what) {
+    const img = new Image();
+    img.src = src;
+    preloadedImages.push(img);
+    const loaded = typeof img.decode === 'function'
+        ? img.decode()
+        : new Promise((resolve, reject) => { img.onload = resolve; img.onerror = reject; });
+    return loaded.then(() => true, () => {
+        console.warn(`Preload: could not load ${what}`);
+        return false;
+    });
+}
+
+/**
+ * Fetches and decodes one sound into audio.js's buffer cache.
+ *
+ * @param {string|string[]} src Path, or fallback list (see FAILURES in audio.js).
+ * @returns {Promise<boolean>} True if it loaded.
+ */
+function preloadAudio(src) {
+    return Promise.resolve()
+        .then(() => loadAudioBuffer(src))
+        .then(() => true, (err) => {
+            reportAudioFailure(src, err);
+            return false;
+        });
+}
+
+/**
+ * Preloads a set of assets, each at most once per page load.
+ *
+ * @param {{ sprites?: string[], images?: string[], audio?: (string|string[])[] }} assets
+ *   sprites: sprite names; images: other image paths (e.g. 'favicon.png').
+ * @param {(done: number, total: number) => void} [onProgress] Called at the start and after each asset.
+ * @returns {Promise<void>} Resolves when every asset has loaded or failed.
+ */
+function preloadAssets({ sprites = [], images = [], audio = [] }, onProgress) {
+    const track = (key, load) => {
+        if (!preloadedAssets.has(key)) preloadedAssets.set(key, load());
+        return preloadedAssets.get(key);
+    };
+    const tasks = [
+        ...[...new Set(sprites)].map((name) => track(`sprite:${name}`, () => preloadImage(spriteSrc(name), `sprite ${name}`))),
+        ...[...new Set(images)].map((src) => track(`image:${src}`, () => preloadImage(withCacheBust(src), src))),
+        ...[...new Set(audio.map(String))].map((key) => {
+            const src = audio.find((a) => String(a) === key);
+            return track(`audio:${key}`, () => preloadAudio(src));
+        })
+    ];
+    let done = 0;
+    onProgress?.(0, tasks.length);
+    tasks.forEach((task) => task.then(() => onProgress?.(++done, tasks.length)));
+    return Promise.all(tasks).then(() => {});
+}
+
+/**
+ * Combines several asset sets into one (e.g. Daily Challenge uses every mode's).
+ *
+ * @param {{ sprites?: string[], images?: string[], audio?: (string|string[])[] }[]} assetSets
+ * @returns {{ sprites: string[], images: string[], audio: (string|string[])[] }}
+ */
+function mergeAssets(assetSets) {
+    return {
+        sprites: assetSets.flatMap((a) => a.sprites || []),
+        images: assetSets.flatMap((a) => a.images || []),
+        audio: assetSets.flatMap((a) => a.audio || [])
+    };
+}
+
+/**
+ * Updates the loading screen's bar, percentage and progressbar value.
+ *
+ * @param {HTMLElement} loadingEl The #loading-screen element.
+ * @param {number} done
+ * @param {number} total
+ */
+function showLoadingProgress(loadingEl, done, total) {
+    const pct = total > 0 ? Math.round((done / total) * 100) : 100;
+    loadingEl.setAttribute('aria-valuenow', String(pct));
+    loadingEl.style.setProperty('--loading-progress', `${pct}%`);
+    const text = loadingEl.querySelector('.loading-text');
+    if (text) text.textContent = `Loading… ${pct}%`;
+}
+
+/**
+ * Fades out and removes the loading screen.
+ *
+ * @param {HTMLElement} loadingEl The #loading-screen element.
+ */
+function hideLoadingScreen(loadingEl) {
+    loadingEl.classList.add('fade-out');
+    setTimeout(() => loadingEl.remove(), FADE_MS);
+}
+
+/**
+ * Disables (and marks busy) or re-enables a mode button while its assets load.
+ *
+ * @param {HTMLButtonElement} btn
+ * @param {boolean} loading
+ */
+function setModeButtonLoading(btn, loading) {
+    btn.disabled = loading;
+    if (loading) btn.setAttribute('aria-busy', 'true');
+    else btn.removeAttribute('aria-busy');
+}
+
+/**
+ * Disables one mode button until its mode's assets have loaded. Modes without
+ * `assets` are enabled right away.
+ *
+ * @param {HTMLButtonElement} btn
+ * @returns {Promise<void>} Resolves when the mode is ready.
+ */
+function preloadModeButton(btn) {
+    setModeButtonLoading(btn, true);
+    return preloadAssets(window.MODES?.[btn.dataset.mode]?.assets || {})
+        .then(() => setModeButtonLoading(btn, false));
+}
+
+/**
+ * Disables every mode button, then preloads each mode's assets in button order
+ * and enables its button when done.
+ *
+ * @param {HTMLElement} modeScreenEl The #mode-screen element.
+ * @returns {Promise<void>} Resolves when every mode is ready.
+ */
+function preloadModeButtons(modeScreenEl) {
+    const buttons = Array.from(modeScreenEl.querySelectorAll('.mode-btn'));
+    buttons.forEach((btn) => setModeButtonLoading(btn, true));
+    return buttons.reduce((chain, btn) => chain.then(() => preloadModeButton(btn)), Promise.resolve());
+}
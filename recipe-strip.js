@@ -0,0 +1,60 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Recipe Strip
+ * ============================================================
+ *  The row of sprites above the grid (#recipe-strip) showing the order a level
+ *  wants them tapped in (Recipe for Success), with the player's progress:
+ *  steps done are ticked off (.done) and the next one is marked (.current,
+ *  aria-current="step").
+ *
+ *  The mode shows it when its level starts and moves it along as the player
+ *  taps. app.js hides it whenever a level ends or is left (a win, Time Attack
+ *  running out, returning to mode select) and before every level starts
+ *  (hideLevelExtras), so modes that don't use it (e.g. the next Daily Challenge
+ *  level) never show it.
+ *
+ *  Dependencies: level.js (spriteSrc), a11y.js (getSpriteLabel).
+ * ============================================================
+ */
+
+/**
+ * Shows the strip with the given steps, none of them done yet.
+ *
+ * @param {string[]} steps Sprite names, in the order they must be tapped.
+ */
+function showRecipeStrip(steps) {
+    const stripEl = document.getElementById('recipe-strip');
+    if (!stripEl) return;
+    stripEl.innerHTML = '';
+    steps.forEach((sprite) => {
+        const step = document.createElement('li');
+        step.className = 'recipe-step';
+        const img = document.createElement('img');
+        img.src = spriteSrc(sprite);
+        img.alt = getSpriteLabel(sprite);
+        img.draggable = false;
+        step.appendChild(img);
+        stripEl.appendChild(step);
+    });
+    stripEl.classList.add('visible');
+    setRecipeProgress(0);
+}
+
+/**
+ * Marks the first `doneCount` steps done and the one after as current.
+ *
+ * @param {number} doneCount
+ */
+function setRecipeProgress(doneCount) {
+    document.querySelectorAll('#recipe-strip .recipe-step').forEach((step, index) => {
+        step.classList.toggle('done', index < doneCount);
+        step.classList.toggle('current', index === doneCount);
+        if (index === doneCount) step.setAttribute('aria-current', 'step');
+        else step.removeAttribute('aria-current');
+    });
+}
+
+/** Hides the strip (fades out). No-op if it isn't showing. */
+function hideRecipeStrip() {
+    document.getElementById('recipe-strip')?.classList.remove('visible');
+}
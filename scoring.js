@@ -0,0 +1,88 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Level Scoring
+ * ============================================================
+ *  Measures every level the same way, whatever the mode:
+ *  - time: from grid appearance (once the bounce-in stagger has finished)
+ *    to the winning tap;
+ *  - wrongTaps: taps where checkWin returned false;
+ *  - correctTaps: taps where checkWin returned undefined (one of several
+ *    targets, e.g. click-to-remove modes) or a win;
+ *  - hints: hints shown (hints.js), asked for or after idling;
+ *  - streak: consecutive flawless levels (no wrong taps) this session.
+ *
+ *  grid.js creates a level score in buildGrid, records each tap, and completes
+ *  it on the winning tap — before any mode-side delay such as
+ *  wrapOnWinWithJingleAndDelay — so the result rides on winData.score to
+ *  winLevel. app.js resets the session (streak) when a mode is entered.
+ *
+ *  Dependencies: none.
+ * ============================================================
+ */
+
+let flawlessStreak = 0;      // Consecutive flawless levels in the current session.
+let bestFlawlessStreak = 0;  // Longest flawless streak in the current session.
+
+/**
+ * Resets session-wide scoring (streaks). Call when entering a mode from mode select.
+ */
+function resetScoringSession() {
+    flawlessStreak = 0;
+    bestFlawlessStreak = 0;
+}
+
+/**
+ * Starts scoring a level.
+ *
+ * @param {number} appearsInMs  Ms until the grid has fully appeared (the longest bounce-in delay).
+ *   The clock starts then, so the stagger isn't counted against the player.
+ * @returns {Object} Level score; pass to recordWrongTap, recordCorrectTap and completeLevelScore.
+ */
+function createLevelScore(appearsInMs) {
+    return {
+        appearedAt: performance.now() + appearsInMs,
+        wrongTaps: 0,
+        correctTaps: 0,
+        hints: 0,
+        result: null
+    };
+}
+
+/** Counts a wrong tap (checkWin returned false). */
+function recordWrongTap(levelScore) {
+    levelScore.wrongTaps++;
+}
+
+/** Counts a correct tap (checkWin returned undefined, true or an object). */
+function recordCorrectTap(levelScore) {
+    levelScore.correctTaps++;
+}
+
+/** Counts a hint shown (hints.js). */
+function recordHint(levelScore) {
+    levelScore.hints++;
+}
+
+/**
+ * Stops the clock and updates the session streak. Completing twice returns
+ * the first result unchanged (the streak is only counted once).
+ *
+ * @param {Object} levelScore From createLevelScore.
+ * @returns {{ timeMs: number, wrongTaps: number, correctTaps: number, hints: number, flawless: boolean, streak: number, bestStreak: number }}
+ */
+function completeLevelScore(levelScore) {
+    if (levelScore.result) return levelScore.result;
+    const flawless = levelScore.wrongTaps === 0;
+    flawlessStreak = flawless ? flawlessStreak + 1 : 0;
+    bestFlawlessStreak = Math.max(bestFlawlessStreak, flawlessStreak);
+    levelScore.result = {
+        timeMs: Math.max(0, Math.round(performance.now() - levelScore.appearedAt)),
+        wrongTaps: levelScore.wrongTaps,
+        correctTaps: levelScore.correctTaps,
+        hints: levelScore.hints,
+        flawless,
+        streak: flawlessStreak,
+        bestStreak: bestFlawlessStreak
+    };
+    return levelScore.result;
+}
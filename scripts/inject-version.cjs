@@ -2,10 +2,14 @@
 /**
  * Injects the current git commit hash into version.js and index.html so all
  * assets (including version.js and loader.js) get ?v=<hash> and refetch after deploy.
+ * Also writes precache-manifest.js: every file the service worker (sw.js) caches
+ * for offline play — the bootstrap scripts, loader.js's STYLESHEETS and SCRIPTS,
+ * the favicon and install icons, the font, and every sprite and audio file.
  * Called by .github/workflows/deploy.yml during deploy.
  */
 const { execSync } = require('child_process');
-const { readFileSync, writeFileSync } = require('fs');
+const { readFileSync, writeFileSync, readdirSync } = require('fs');
+const path = require('path');
 
 const hash = execSync('git rev-parse --short HEAD').toString().trim();
 
@@ -18,4 +22,36 @@ html = html.replace(/src="(version\.js)(?:\?v=[^"]*)?"/, `src="$1?v=${hash}"`);
 html = html.replace(/src="(loader\.js)(?:\?v=[^"]*)?"/, `src="$1?v=${hash}"`);
 writeFileSync('index.html', html);
 
-console.log('Injected CACHE_BUST:', hash);
+/* ---- precache-manifest.js: files for the service worker ---- */
+
+/** Reads a `var NAME = [ '...', ... ];` list from loader.js. */
+function readLoaderList(loaderSource, name) {
+    const match = loaderSource.match(new RegExp(`var ${name} = \\[([\\s\\S]*?)\\];`));
+    if (!match) throw new Error(`inject-version: ${name} not found in loader.js`);
+    return [...match[1].matchAll(/'([^']+)'/g)].map((m) => m[1]);
+}
+
+/** Lists files under dir with one of the extensions (recursive; skips audio/unused). */
+function listFiles(dir, extensions) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const file = path.posix.join(dir, entry.name);
+        if (entry.isDirectory()) return file === 'audio/unused' ? [] : listFiles(file, extensions);
+        return extensions.includes(path.extname(entry.name)) ? [file] : [];
+    }).sort();
+}
+
+const loaderSource = readFileSync('loader.js', 'utf8');
+const precacheUrls = [
+    'version.js',
+    'loader.js',
+    ...readLoaderList(loaderSource, 'STYLESHEETS'),
+    ...readLoaderList(loaderSource, 'SCRIPTS'),
+    'favicon.png',
+    ...listFiles('icons', ['.png']),
+    ...listFiles('fonts', ['.woff2']),
+    ...listFiles('sprites', ['.png']),
+    ...listFiles('audio', ['.mp3'])
+];
+writeFileSync('precache-manifest.js', `// Auto-generated by scripts/inject-version.cjs during deploy. Do not edit.\nself.PRECACHE_URLS = ${JSON.stringify(precacheUrls, null, 4)};\n`);
+
+console.log('Injected CACHE_BUST:', hash, `(${precacheUrls.length} files to precache)`);
@@ -0,0 +1,161 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Settings
+ * ============================================================
+ *  Player settings, kept in localStorage ("juicebox.settings"):
+ *    masterVolume, musicVolume, effectsVolume (0–1) and a mute toggle for each;
+ *    hintDelaySec: idle seconds before a hint (hints.js); 0 = only on request, null = no hints.
+ *
+ *  audio.js applies them to its master and channel gain nodes (applyVolumeSettings),
+ *  so every sound path — one-shots, loops, the drain — follows them, including
+ *  sounds already playing.
+ *
+ *  The settings screen (reached from the mode select screen) is rendered here.
+ *
+ *  Dependencies: storage.js, panel.js (createPanelCard), audio.js (applyVolumeSettings, playOneshot).
+ * ============================================================
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+    masterVolume: 1,
+    musicVolume: 1,
+    effectsVolume: 1,
+    masterMuted: false,
+    musicMuted: false,
+    effectsMuted: false,
+    hintDelaySec: 20
+};
+
+// One slider + mute toggle per row on the settings screen. previewSound plays
+// when the slider is released so the player hears the new level.
+const VOLUME_CONTROLS = [
+    { label: 'Master', volumeKey: 'masterVolume', mutedKey: 'masterMuted', previewSound: 'audio/Mouth Pop.mp3' },
+    { label: 'Music', volumeKey: 'musicVolume', mutedKey: 'musicMuted' },
+    { label: 'Effects', volumeKey: 'effectsVolume', mutedKey: 'effectsMuted', previewSound: 'audio/Mouth Pop.mp3' }
+];
+
+// Choices for the Hints row, from no hints to hints after a short idle.
+const HINT_DELAY_OPTIONS = [
+    { label: 'Off', value: null },
+    { label: 'On request', value: 0 },
+    { label: 'After 10 s', value: 10 },
+    { label: 'After 20 s', value: 20 },
+    { label: 'After 30 s', value: 30 }
+];
+
+let currentSettings = null;  // Loaded on first use; see getSettings.
+
+/**
+ * Current settings (stored values over DEFAULT_SETTINGS, so new keys get defaults).
+ *
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+function getSettings() {
+    if (!currentSettings) {
+        currentSettings = { ...DEFAULT_SETTINGS, ...loadStoredJson(SETTINGS_STORAGE_KEY, {}) };
+    }
+    return currentSettings;
+}
+
+/**
+ * Applies and saves a partial settings change, then updates the audio gains.
+ *
+ * @param {Object} changes Subset of DEFAULT_SETTINGS keys.
+ */
+function updateSettings(changes) {
+    currentSettings = { ...getSettings(), ...changes };
+    saveStoredJson(SETTINGS_STORAGE_KEY, currentSettings);
+    applyVolumeSettings();
+}
+
+/**
+ * Builds one settings row: label, volume slider (0–100) and mute toggle.
+ *
+ * @param {{ label: string, volumeKey: string, mutedKey: string, previewSound?: string }} control
+ * @returns {HTMLElement}
+ */
+function createVolumeControl({ label, volumeKey, mutedKey, previewSound }) {
+    const settings = getSettings();
+    const row = document.createElement('div');
+    row.className = 'panel-setting';
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '100';
+    slider.value = String(Math.round(settings[volumeKey] * 100));
+    slider.id = `setting-${volumeKey}`;
+    slider.addEventListener('input', () => updateSettings({ [volumeKey]: Number(slider.value) / 100 }));
+    if (previewSound) slider.addEventListener('change', () => playOneshot(previewSound));
+
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = slider.id;
+    labelEl.textContent = label;
+
+    const mute = document.createElement('button');
+    mute.type = 'button';
+    mute.className = 'panel-btn panel-toggle';
+    mute.setAttribute('aria-label', `Mute ${label.toLowerCase()}`);
+    const renderMute = () => {
+        const muted = getSettings()[mutedKey];
+        mute.setAttribute('aria-pressed', String(muted));
+        mute.textContent = muted ? 'Muted' : 'Mute';
+        slider.disabled = muted;
+    };
+    mute.addEventListener('click', (e) => {
+        e.stopPropagation();
+        updateSettings({ [mutedKey]: !getSettings()[mutedKey] });
+        renderMute();
+    });
+    renderMute();
+
+    row.append(labelEl, slider, mute);
+    return row;
+}
+
+/**
+ * Builds the Hints row: when hints appear by themselves, or not at all (HINT_DELAY_OPTIONS).
+ * Takes effect from the next level.
+ *
+ * @returns {HTMLElement}
+ */
+function createHintControl() {
+    const row = document.createElement('div');
+    row.className = 'panel-setting';
+
+    const select = document.createElement('select');
+    select.id = 'setting-hintDelaySec';
+    HINT_DELAY_OPTIONS.forEach(({ label, value }, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = label;
+        option.selected = value === getSettings().hintDelaySec;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => updateSettings({ hintDelaySec: HINT_DELAY_OPTIONS[Number(select.value)].value }));
+
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = select.id;
+    labelEl.textContent = 'Hints';
+
+    row.append(labelEl, select);
+    return row;
+}
+
+/**
+ * Renders the settings screen content.
+ *
+ * @param {HTMLElement} settingsEl The #settings-screen element.
+ * @param {Object} handlers
+ * @param {Function} handlers.onBack Called when "Back" is clicked.
+ */
+function renderSettingsScreen(settingsEl, { onBack }) {
+    settingsEl.innerHTML = '';
+    settingsEl.appendChild(createPanelCard({
+        title: 'Settings',
+        content: [...VOLUME_CONTROLS.map(createVolumeControl), createHintControl()],
+        buttons: [{ label: 'Back', onClick: () => onBack() }]
+    }));
+}
@@ -0,0 +1,152 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Sprite Catalog
+ * ============================================================
+ *  Every sprite in sprites/ with what generators need to know about it:
+ *    name       Human-readable name (cell labels, announcements; see a11y.js).
+ *    color      Dominant color.
+ *    shape      Rough silhouette at grid size.
+ *    category   fruit, vegetable, plant, drink, beach or sky.
+ *    juicable   False for sprites/unjuicable/ (decorations and props).
+ *    lookAlikes Look-alike groups: sprites sharing a group are easy to mistake
+ *               for each other at a glance (apples, pears, citrus, red-round,
+ *               green-round, yellow-round, orange-round, long, clusters, leafy, cups).
+ *    sounds     Optional sound bank played when the sprite is picked correctly,
+ *               if not its category's (SOUND BANKS in audio.js).
+ *    symmetric  True if the sprite looks the same mirrored (no use in Mirror Mirror).
+ *
+ *  Helpers pick sprite sets from it, so modes describe what they want instead of
+ *  hand-filtering lists: spritesWhere({ category: 'beach' }), spritesLike(target)
+ *  (distractors similar to the target), spritesUnlike(target) (anything but the
+ *  target's colors and look-alikes), spritesExcept(names).
+ *
+ *  Adding a sprite: add the .png, then its entry here (in file-name order).
+ *
+ *  Dependencies: none.
+ * ============================================================
+ */
+
+const SPRITE_CATALOG = {
+    'apple-gold': { name: 'golden apple', color: 'yellow', shape: 'round', category: 'fruit', lookAlikes: ['apples', 'yellow-round'], sounds: 'apple-bite' },
+    'apple-green': { name: 'green apple', color: 'green', shape: 'round', category: 'fruit', lookAlikes: ['apples', 'green-round'], sounds: 'apple-bite' },
+    'apple-red': { name: 'red apple', color: 'red', shape: 'round', category: 'fruit', lookAlikes: ['apples', 'red-round'], sounds: 'apple-bite' },
+    'avocado': { name: 'avocado', color: 'green', shape: 'oval', category: 'fruit', lookAlikes: ['green-round'] },
+    'banana': { name: 'banana', color: 'yellow', shape: 'long', category: 'fruit', lookAlikes: ['long'] },
+    'beet': { name: 'beet', color: 'purple', shape: 'round', category: 'vegetable', lookAlikes: ['red-round'] },
+    'blueberries': { name: 'blueberries', color: 'blue', shape: 'cluster', category: 'fruit', lookAlikes: ['clusters'] },
+    'carrot': { name: 'carrot', color: 'orange', shape: 'long', category: 'vegetable', lookAlikes: ['long'] },
+    'cherries': { name: 'cherries', color: 'red', shape: 'cluster', category: 'fruit', lookAlikes: ['red-round', 'clusters'] },
+    'coconut': { name: 'coconut', color: 'brown', shape: 'round', category: 'fruit', lookAlikes: [] },
+    'cucumber': { name: 'cucumber', color: 'green', shape: 'long', category: 'vegetable', lookAlikes: ['long'] },
+    'ginger': { name: 'ginger', color: 'brown', shape: 'irregular', category: 'vegetable', lookAlikes: [] },
+    'grapes': { name: 'grapes', color: 'purple', shape: 'cluster', category: 'fruit', lookAlikes: ['clusters'] },
+    'greens': { name: 'greens', color: 'green', shape: 'leafy', category: 'vegetable', lookAlikes: ['leafy'] },
+    'kiwi': { name: 'kiwi', color: 'green', shape: 'round', category: 'fruit', lookAlikes: ['green-round'] },
+    'leaves-falling': { name: 'falling leaves', color: 'orange', shape: 'leafy', category: 'plant', lookAlikes: ['leafy'] },
+    'lemon': { name: 'lemon', color: 'yellow', shape: 'oval', category: 'fruit', lookAlikes: ['citrus', 'yellow-round'] },
+    'lime': { name: 'lime', color: 'green', shape: 'round', category: 'fruit', lookAlikes: ['citrus', 'green-round'] },
+    'mango': { name: 'mango', color: 'orange', shape: 'oval', category: 'fruit', lookAlikes: ['orange-round'] },
+    'melon': { name: 'melon', color: 'green', shape: 'round', category: 'fruit', symmetric: true, lookAlikes: ['green-round'] },
+    'peach': { name: 'peach', color: 'orange', shape: 'round', category: 'fruit', lookAlikes: ['orange-round'] },
+    'pear-gold': { name: 'golden pear', color: 'yellow', shape: 'pear', category: 'fruit', lookAlikes: ['pears', 'yellow-round'] },
+    'pear-green': { name: 'green pear', color: 'green', shape: 'pear', category: 'fruit', lookAlikes: ['pears', 'green-round'] },
+    'pineapple': { name: 'pineapple', color: 'yellow', shape: 'tall', category: 'fruit', symmetric: true, lookAlikes: [] },
+    'strawberry': { name: 'strawberry', color: 'red', shape: 'round', category: 'fruit', lookAlikes: ['red-round'] },
+    'tangerine': { name: 'tangerine', color: 'orange', shape: 'round', category: 'fruit', lookAlikes: ['citrus', 'orange-round'] },
+    'watermelon': { name: 'watermelon', color: 'red', shape: 'slice', category: 'fruit', lookAlikes: [] },
+
+    'unjuicable/beach-with-umbrella': { name: 'beach umbrella', color: 'multi', shape: 'scene', category: 'beach', juicable: false, lookAlikes: [] },
+    'unjuicable/beachball': { name: 'beachball', color: 'multi', shape: 'round', category: 'beach', juicable: false, lookAlikes: [] },
+    'unjuicable/bikini': { name: 'bikini', color: 'multi', shape: 'irregular', category: 'beach', juicable: false, lookAlikes: [] },
+    'unjuicable/bubble-tea': { name: 'bubble tea', color: 'brown', shape: 'cup', category: 'drink', juicable: false, lookAlikes: ['cups'] },
+    'unjuicable/coffee': { name: 'coffee', color: 'brown', shape: 'cup', category: 'drink', juicable: false, lookAlikes: ['cups'] },
+    'unjuicable/cup-with-straw': { name: 'cup with a straw', color: 'red', shape: 'cup', category: 'drink', juicable: false, lookAlikes: ['cups'] },
+    'unjuicable/glass-of-milk': { name: 'glass of milk', color: 'white', shape: 'cup', category: 'drink', juicable: false, symmetric: true, lookAlikes: ['cups'] },
+    'unjuicable/shooting-stars': { name: 'shooting stars', color: 'yellow', shape: 'star', category: 'sky', juicable: false, lookAlikes: [] },
+    'unjuicable/teacup': { name: 'teacup', color: 'white', shape: 'cup', category: 'drink', juicable: false, lookAlikes: ['cups'], sounds: 'slurp' },
+    'unjuicable/teapot': { name: 'teapot', color: 'white', shape: 'pot', category: 'drink', juicable: false, lookAlikes: [], sounds: 'tea-pour' },
+    'unjuicable/thong-sandal': { name: 'sandal', color: 'multi', shape: 'irregular', category: 'beach', juicable: false, lookAlikes: [] },
+    'unjuicable/tropical-drink': { name: 'tropical drink', color: 'orange', shape: 'cup', category: 'beach', juicable: false, lookAlikes: ['cups'] },
+    'unjuicable/water-wave': { name: 'wave', color: 'blue', shape: 'irregular', category: 'beach', juicable: false, lookAlikes: [] }
+};
+
+// Every juicable sprite (the top level of sprites/), in file-name order.
+const ALL_SPRITES = Object.keys(SPRITE_CATALOG).filter((name) => SPRITE_CATALOG[name].juicable !== false);
+
+/**
+ * Catalog entry for a sprite. Sprites missing from the catalog (e.g. a custom
+ * mode's typo) get a name from the file name and no other attributes.
+ *
+ * @param {string} sprite Sprite name (e.g. 'apple-red', 'unjuicable/teapot').
+ * @returns {{ name: string, color?: string, shape?: string, category?: string, juicable?: boolean, symmetric?: boolean, lookAlikes: string[], sounds?: string }}
+ */
+function getSpriteInfo(sprite) {
+    return SPRITE_CATALOG[sprite]
+        || { name: sprite.replace(/^unjuicable\//, '').replace(/-/g, ' '), lookAlikes: [] };
+}
+
+/**
+ * Sprites whose attributes match every given criterion. A criterion's value may
+ * be a list (any of them matches); `juicable` defaults to true.
+ *
+ * @param {{ color?: string|string[], shape?: string|string[], category?: string|string[], juicable?: boolean, lookAlike?: string|string[] }} criteria
+ *   lookAlike matches sprites in any of those look-alike groups.
+ * @returns {string[]}
+ * @example spritesWhere({ category: 'beach', juicable: false })
+ */
+function spritesWhere({ juicable = true, lookAlike, ...attributes } = {}) {
+    const asList = (value) => (Array.isArray(value) ? value : [value]);
+    return Object.keys(SPRITE_CATALOG).filter((name) => {
+        const info = SPRITE_CATALOG[name];
+        if ((info.juicable !== false) !== juicable) return false;
+        if (lookAlike !== undefined && !asList(lookAlike).some((group) => info.lookAlikes.includes(group))) return false;
+        return Object.keys(attributes).every((key) => asList(attributes[key]).includes(info[key]));
+    });
+}
+
+/**
+ * Distractors similar to the target(s): sprites sharing a look-alike group with
+ * any target, or both its color and shape. Targets themselves are left out.
+ *
+ * @param {string|string[]} targets
+ * @param {string[]} [pool=ALL_SPRITES] Sprites to choose from.
+ * @returns {string[]}
+ */
+function spritesLike(targets, pool = ALL_SPRITES) {
+    const targetInfos = [].concat(targets).map((t) => [t, getSpriteInfo(t)]);
+    return pool.filter((name) => {
+        if (targetInfos.some(([t]) => t === name)) return false;
+        const info = getSpriteInfo(name);
+        return targetInfos.some(([, target]) =>
+            info.lookAlikes.some((group) => target.lookAlikes.includes(group))
+            || (info.color === target.color && info.shape === target.shape));
+    });
+}
+
+/**
+ * Sprites that can't be mistaken for the target(s): none of the targets' colors
+ * and no look-alikes.
+ *
+ * @param {string|string[]} targets
+ * @param {string[]} [pool=ALL_SPRITES]
+ * @returns {string[]}
+ */
+function spritesUnlike(targets, pool = ALL_SPRITES) {
+    const list = [].concat(targets);
+    const colors = list.map((t) => getSpriteInfo(t).color);
+    const lookAlikes = spritesLike(list, pool);
+    return pool.filter((name) => !list.includes(name) && !lookAlikes.includes(name)
+        && !colors.includes(getSpriteInfo(name).color));
+}
+
+/**
+ * The pool without the given sprites.
+ *
+ * @param {string|string[]} excluded
+ * @param {string[]} [pool=ALL_SPRITES]
+ * @returns {string[]}
+ */
+function spritesExcept(excluded, pool = ALL_SPRITES) {
+    const list = [].concat(excluded);
+    return pool.filter((name) => !list.includes(name));
+}
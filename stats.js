@@ -0,0 +1,195 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Persistent Statistics
+ * ============================================================
+ *  Lifetime per-mode statistics, kept in localStorage ("juicebox.stats") so
+ *  progress survives leaving a mode and closing the page:
+ *    levelsCleared, totalTimeMs (→ average), bestTimeMs, correctTaps and
+ *    wrongTaps (→ accuracy), longestStreak (flawless levels in a row).
+ *
+ *  HISTORY: each mode also keeps the same counts per week (`weeks`, keyed by
+ *  the week's Monday as "YYYY-MM-DD"; the last STATS_HISTORY_WEEKS weeks
+ *  played), so the stats screen can show progress over recent weeks next to
+ *  the totals. Reset clears both.
+ *
+ *  app.js records every won level from its winData.score (scoring.js); the
+ *  stats screen (reached from the mode select screen) is rendered here.
+ *
+ *  Dependencies: storage.js, panel.js (createPanelCard), utils.js (formatDuration, getLocalDateKey).
+ * ============================================================
+ */
+
+const STATS_STORAGE_KEY = 'stats';
+
+// Ms the Reset button waits for its confirming second tap before reverting.
+const STATS_RESET_CONFIRM_MS = 3000;
+
+// Weeks of history kept per mode, and shown on the stats screen (most recent first).
+const STATS_HISTORY_WEEKS = 8;
+const STATS_WEEKS_SHOWN = 4;
+
+/** @returns {Object<string, Object>} Stats per modeId (see recordLevelStats for the fields). */
+function loadStats() {
+    return loadStoredJson(STATS_STORAGE_KEY, {});
+}
+
+/**
+ * Key of the week a date falls in: its Monday as "YYYY-MM-DD" (local time).
+ *
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getWeekKey(date = new Date()) {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    return getLocalDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday));
+}
+
+/**
+ * Adds one won level to a mode's lifetime stats and to this week's entry in its
+ * history (see HISTORY above), and saves immediately.
+ *
+ * @param {string} modeId  Mode identifier (e.g. 'go-bananas')
+ * @param {Object} score   Completed level score from scoring.js (timeMs, wrongTaps, correctTaps, bestStreak)
+ */
+function recordLevelStats(modeId, score) {
+    const stats = loadStats();
+    const s = stats[modeId] || {
+        levelsCleared: 0,
+        totalTimeMs: 0,
+        bestTimeMs: null,
+        correctTaps: 0,
+        wrongTaps: 0,
+        longestStreak: 0
+    };
+    s.levelsCleared++;
+    s.totalTimeMs += score.timeMs;
+    s.bestTimeMs = s.bestTimeMs == null ? score.timeMs : Math.min(s.bestTimeMs, score.timeMs);
+    s.correctTaps += score.correctTaps;
+    s.wrongTaps += score.wrongTaps;
+    s.longestStreak = Math.max(s.longestStreak, score.bestStreak);
+
+    // Stats saved before weekly history existed have no weeks yet; they start now.
+    const weeks = s.weeks || {};
+    const weekKey = getWeekKey();
+    const week = weeks[weekKey] || { levelsCleared: 0, totalTimeMs: 0, correctTaps: 0, wrongTaps: 0 };
+    week.levelsCleared++;
+    week.totalTimeMs += score.timeMs;
+    week.correctTaps += score.correctTaps;
+    week.wrongTaps += score.wrongTaps;
+    weeks[weekKey] = week;
+    s.weeks = Object.fromEntries(Object.entries(weeks)
+        .sort(([a], [b]) => (a < b ? 1 : -1))
+        .slice(0, STATS_HISTORY_WEEKS));
+
+    stats[modeId] = s;
+    saveStoredJson(STATS_STORAGE_KEY, stats);
+}
+
+/** Clears all stored stats. */
+function resetStats() {
+    saveStoredJson(STATS_STORAGE_KEY, {});
+}
+
+/**
+ * Accuracy for display (e.g. "92%"), or "—" without taps.
+ *
+ * @param {{ correctTaps: number, wrongTaps: number }} s
+ * @returns {string}
+ */
+function formatAccuracy(s) {
+    const taps = s.correctTaps + s.wrongTaps;
+    return taps > 0 ? `${Math.round((s.correctTaps / taps) * 100)}%` : '—';
+}
+
+/**
+ * Panel rows for one mode's stats.
+ *
+ * @param {Object|undefined} s  Stats for the mode, or undefined if never played
+ * @returns {{ label: string, value: string }[]}
+ */
+function getStatsRows(s) {
+    if (!s || s.levelsCleared === 0) return [];
+    return [
+        { label: 'Levels cleared', value: String(s.levelsCleared) },
+        { label: 'Best time', value: formatDuration(s.bestTimeMs) },
+        { label: 'Average time', value: formatDuration(s.totalTimeMs / s.levelsCleared) },
+        { label: 'Accuracy', value: formatAccuracy(s) },
+        { label: 'Longest streak', value: String(s.longestStreak) }
+    ];
+}
+
+/**
+ * Panel rows for one mode's recent weeks (see HISTORY above), most recent
+ * first: "This week", "Last week", then "Week of Oct 5".
+ *
+ * @param {Object|undefined} s  Stats for the mode, or undefined if never played
+ * @returns {{ label: string, value: string }[]}  Value: levels cleared · average time · accuracy.
+ */
+function getWeeklyStatsRows(s) {
+    const thisWeek = getWeekKey();
+    const now = new Date();
+    const lastWeek = getWeekKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7));
+    return Object.entries(s?.weeks || {})
+        .sort(([a], [b]) => (a < b ? 1 : -1))
+        .slice(0, STATS_WEEKS_SHOWN)
+        .map(([weekKey, week]) => {
+            const [year, month, day] = weekKey.split('-').map(Number);
+            const label = weekKey === thisWeek ? 'This week'
+                : weekKey === lastWeek ? 'Last week'
+                : `Week of ${new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+            const levels = `${week.levelsCleared} ${week.levelsCleared === 1 ? 'level' : 'levels'}`;
+            return {
+                label,
+                value: `${levels} · ${formatDuration(week.totalTimeMs / week.levelsCleared)} · ${formatAccuracy(week)}`
+            };
+        });
+}
+
+/**
+ * Renders the stats screen content (one section per mode, in mode select order:
+ * its totals, then its recent weeks). Reset needs a second tap within
+ * STATS_RESET_CONFIRM_MS, then re-renders.
+ *
+ * @param {HTMLElement} statsEl  The #stats-screen element.
+ * @param {{ id: string, title: string }[]} modes  Modes to list.
+ * @param {Object} handlers
+ * @param {Function} handlers.onBack  Called when "Back" is clicked.
+ */
+function renderStatsScreen(statsEl, modes, { onBack }) {
+    const stats = loadStats();
+    let resetConfirmTimeoutId = null;
+
+    statsEl.innerHTML = '';
+    statsEl.appendChild(createPanelCard({
+        title: 'Stats',
+        sections: modes.flatMap(({ id, title }) => {
+            const weeklyRows = getWeeklyStatsRows(stats[id]);
+            return [
+                { heading: title, rows: getStatsRows(stats[id]), empty: 'Not played yet' },
+                ...(weeklyRows.length > 0 ? [{ rows: weeklyRows }] : [])
+            ];
+        }),
+        note: 'Weeks: levels cleared · average time · accuracy.',
+        buttons: [
+            { label: 'Back', onClick: () => onBack() },
+            {
+                label: 'Reset',
+                className: 'danger',
+                onClick: (btn) => {
+                    if (!btn.classList.contains('confirming')) {
+                        btn.classList.add('confirming');
+                        btn.textContent = 'Tap again to reset';
+                        resetConfirmTimeoutId = setTimeout(() => {
+                            btn.classList.remove('confirming');
+                            btn.textContent = 'Reset';
+                        }, STATS_RESET_CONFIRM_MS);
+                        return;
+                    }
+                    clearTimeout(resetConfirmTimeoutId);
+                    resetStats();
+                    renderStatsScreen(statsEl, modes, { onBack });
+                }
+            }
+        ]
+    }));
+}
@@ -0,0 +1,46 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Local Storage
+ * ============================================================
+ *  JSON read/write helpers for everything the game remembers between visits
+ *  (e.g. Daily Challenge results). All keys are prefixed with "juicebox." so
+ *  they don't collide with anything else on the domain.
+ *
+ *  localStorage can throw (private browsing, storage full, disabled cookies);
+ *  these helpers swallow that so a storage failure never breaks a level —
+ *  the game simply forgets.
+ * ============================================================
+ */
+
+const STORAGE_KEY_PREFIX = 'juicebox.';
+
+/**
+ * Reads and parses a stored JSON value.
+ *
+ * @param {string} key       Key without prefix (e.g. "daily")
+ * @param {*} fallback       Returned when nothing is stored or it can't be read/parsed
+ * @returns {*}
+ */
+function loadStoredJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY_PREFIX + key);
+        return raw == null ? fallback : JSON.parse(raw);
+    } catch (e) {
+        console.warn(`loadStoredJson: could not read "${key}"`, e);
+        return fallback;
+    }
+}
+
+/**
+ * Serializes and stores a JSON value.
+ *
+ * @param {string} key  Key without prefix (e.g. "daily")
+ * @param {*} value     Any JSON-serializable value
+ */
+function saveStoredJson(key, value) {
+    try {
+        localStorage.setItem(STORAGE_KEY_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`saveStoredJson: could not write "${key}"`, e);
+    }
+}
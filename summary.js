@@ -0,0 +1,104 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Session Summary Screen
+ * ============================================================
+ *  Shown at the end of a finite run (e.g. Daily Challenge, a Time Attack run or
+ *  a fixed-length session) instead of the next level. The final drain plays over
+ *  it, so the summary is revealed the same way a level would be.
+ *
+ *  The screen is rendered from a plain summary object provided by the mode
+ *  (via winData.sessionSummary — see winLevel in app.js), so modes decide what
+ *  to show and this file only decides how. Fixed-length sessions (the session
+ *  length picked on mode select, SESSION_LENGTH_OPTIONS) get theirs from
+ *  getFixedSessionSummary.
+ *
+ *  Dependencies: timing.js (FADE_MS), utils.js (formatDuration), panel.js
+ *  (createPanelCard). app.js wires the "Play again" and "Back to modes" actions.
+ * ============================================================
+ */
+
+// Session lengths offered on mode select, in the order its toggle cycles through. null = endless.
+const SESSION_LENGTH_OPTIONS = [null, 5, 10, 20];
+
+/**
+ * Renders and shows the summary screen.
+ *
+ * @param {HTMLElement} summaryEl  The #summary-screen element.
+ * @param {Object} summary         Panel content: { title, subtitle?, sections?, note? } (see createPanelCard).
+ * @param {Object} handlers
+ * @param {string} [handlers.seed]               Session seed, shown selectable for bug reports and ?seed= links.
+ * @param {Function} [handlers.onPlayAgain]      Called when "Play again" is clicked; no button if omitted.
+ * @param {Function} handlers.onBack             Called when "Back to modes" is clicked.
+ */
+function showSummaryScreen(summaryEl, summary, { seed, onPlayAgain, onBack }) {
+    const buttons = [{ label: 'Back to modes', onClick: () => onBack() }];
+    if (onPlayAgain) buttons.unshift({ label: 'Play again', onClick: () => onPlayAgain() });
+    const content = [];
+    if (seed) {
+        const seedEl = document.createElement('p');
+        seedEl.className = 'panel-note panel-seed';
+        seedEl.textContent = `Seed: ${seed}`;
+        content.push(seedEl);
+    }
+    summaryEl.innerHTML = '';
+    summaryEl.appendChild(createPanelCard({ ...summary, content, buttons }));
+    summaryEl.classList.remove('hidden', 'fade-out');
+    summaryEl.setAttribute('aria-hidden', 'false');
+}
+
+/**
+ * Fades out and hides the summary screen (no-op if already hidden).
+ *
+ * @param {HTMLElement} summaryEl  The #summary-screen element.
+ */
+function hideSummaryScreen(summaryEl) {
+    if (summaryEl.classList.contains('hidden')) return;
+    summaryEl.classList.add('fade-out');
+    summaryEl.setAttribute('aria-hidden', 'true');
+    setTimeout(() => {
+        summaryEl.classList.add('hidden');
+        summaryEl.classList.remove('fade-out');
+        summaryEl.innerHTML = '';
+    }, FADE_MS);
+}
+
+/**
+ * Summary for the end of a fixed-length session: each level's time and wrong
+ * taps, the totals and the best level (fewest wrong taps, then fastest).
+ *
+ * @param {string} modeTitle
+ * @param {{ timeMs: number, wrongTaps: number }[]} levelScores Scores of the session's levels, in order.
+ * @returns {Object}
+ */
+function getFixedSessionSummary(modeTitle, levelScores) {
+    const bestIndex = levelScores.reduce((best, score, i) => {
+        const bestScore = levelScores[best];
+        const isBetter = score.wrongTaps < bestScore.wrongTaps
+            || (score.wrongTaps === bestScore.wrongTaps && score.timeMs < bestScore.timeMs);
+        return isBetter ? i : best;
+    }, 0);
+    const describe = (score) => `${formatDuration(score.timeMs)} · ${score.wrongTaps} wrong`;
+    const totalMs = levelScores.reduce((sum, s) => sum + s.timeMs, 0);
+    const wrongTaps = levelScores.reduce((sum, s) => sum + s.wrongTaps, 0);
+    return {
+        title: modeTitle,
+        subtitle: `${levelScores.length} levels`,
+        sections: [
+            {
+                rows: [
+                    { label: 'Total time', value: formatDuration(totalMs), highlight: true },
+                    { label: 'Wrong taps', value: String(wrongTaps) },
+                    { label: 'Best level', value: `Level ${bestIndex + 1}` }
+                ]
+            },
+            {
+                heading: 'Levels',
+                rows: levelScores.map((score, i) => ({
+                    label: `Level ${i + 1}`,
+                    value: describe(score),
+                    highlight: i === bestIndex
+                }))
+            }
+        ]
+    };
+}
@@ -0,0 +1,87 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Service Worker (Offline Play)
+ * ============================================================
+ *  Precaches everything the game needs — version.js, loader.js, every script in
+ *  loader.js's SCRIPTS, the stylesheets, the install icons, the font, every sprite and audio file — so it runs
+ *  fully offline once installed. The list (PRECACHE_URLS) is generated at deploy by
+ *  scripts/inject-version.cjs into precache-manifest.js.
+ *
+ *  VERSIONING: loader.js registers sw.js?v=<CACHE_BUST>. Each deploy therefore
+ *  registers a new worker with its own cache ("juicebox-<hash>"), holding the
+ *  same ?v=<hash> URLs the page requests. On activate, older juicebox-* caches
+ *  are deleted.
+ *
+ *  STRATEGIES:
+ *  - Page navigations: network first (so a new deploy is seen), cached index.html offline.
+ *  - Same-origin files: this deploy's cache, then network; offline, any cached copy
+ *    of the path (e.g. mode icons requested before loader.js adds ?v=, or the font
+ *    requested by style.css without one).
+ * ============================================================
+ */
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'juicebox-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+// Requested without ?v= (the page itself and its manifest).
+const UNVERSIONED_URLS = ['./', 'index.html', 'manifest.webmanifest'];
+
+importScripts(`precache-manifest.js?v=${VERSION}`);
+
+self.addEventListener('install', (event) => {
+    const urls = [
+        ...UNVERSIONED_URLS,
+        ...self.PRECACHE_URLS.map((path) => `${path}?v=${VERSION}`)
+    ];
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.addAll(urls.map((url) => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first; offline, the cached index.html.
+ *
+ * @param {Request} request A navigation request.
+ * @returns {Promise<Response>}
+ */
+function fetchPage(request) {
+    return fetch(request).catch(() =>
+        caches.open(CACHE_NAME).then((cache) => cache.match('index.html'))
+    );
+}
+
+/**
+ * This deploy's cached copy, else the network; offline, any cached copy of the path.
+ *
+ * @param {Request} request A same-origin GET.
+ * @returns {Promise<Response>}
+ */
+function fetchAsset(request) {
+    return caches.open(CACHE_NAME).then((cache) =>
+        cache.match(request).then((cached) => cached || fetch(request).catch(() =>
+            cache.match(request, { ignoreSearch: true }).then((anyVersion) => anyVersion || Response.error())
+        ))
+    );
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(request.mode === 'navigate' ? fetchPage(request) : fetchAsset(request));
+    }
+});
@@ -0,0 +1,183 @@
+/*
+ * ============================================================
+ *  JUICE BOX — Time Attack
+ * ============================================================
+ *  A way to play any mode against a countdown (toggled on the mode select
+ *  screen; modes with sessionOptions: false, like Daily Challenge, play as usual):
+ *    - the clock (#time-attack-clock) starts at TIME_ATTACK_START_MS when the
+ *      first grid appears;
+ *    - each win adds TIME_ATTACK_WIN_BONUS_MS, each wrong tap (checkWin returned
+ *      false) takes away TIME_ATTACK_WRONG_TAP_PENALTY_MS;
+ *    - when it hits zero the run ends with a summary (getTimeAttackSummary).
+ *
+ *  app.js drives the clock: it keeps running through a win's fade-out, pauses
+ *  when the drain starts covering the screen (pauseTimeAttackClock) and resumes
+ *  once the next level's grid is built (resumeTimeAttackClock), so the player
+ *  only loses time while a grid can be played. returnToModeSelect stops it.
+ *
+ *  Dependencies: utils.js (formatDuration), a11y.js (announce).
+ * ============================================================
+ */
+
+const TIME_ATTACK_START_MS = 60000;
+const TIME_ATTACK_WIN_BONUS_MS = 5000;
+const TIME_ATTACK_WRONG_TAP_PENALTY_MS = 3000;
+
+// Below this the clock turns urgent (.low) and screen readers hear a warning once.
+const TIME_ATTACK_LOW_MS = 10000;
+
+// Ms between clock redraws while it runs.
+const TIME_ATTACK_TICK_MS = 100;
+
+// Ms the +/− flash stays on the clock after time is added or taken away.
+const TIME_ATTACK_FLASH_MS = 600;
+
+// Current run, or null: { remainingMs, runningSince, intervalId, onTimeUp, levelsCleared, wrongTaps, warned }.
+let timeAttackRun = null;
+
+/**
+ * Starts a Time Attack run with a full, paused clock. Call resumeTimeAttackClock
+ * once the first grid is up; the clock is shown from then on.
+ *
+ * @param {Function} onTimeUp Called once when the clock reaches zero while running.
+ */
+function startTimeAttackRun(onTimeUp) {
+    stopTimeAttackRun();
+    timeAttackRun = {
+        remainingMs: TIME_ATTACK_START_MS,
+        runningSince: null,
+        intervalId: null,
+        onTimeUp,
+        levelsCleared: 0,
+        wrongTaps: 0,
+        warned: false
+    };
+    renderTimeAttackClock();
+}
+
+/**
+ * Ends the run: stops the clock and hides it. Safe to call when no run is active.
+ */
+function stopTimeAttackRun() {
+    if (timeAttackRun) clearInterval(timeAttackRun.intervalId);
+    timeAttackRun = null;
+    document.getElementById('time-attack-clock')?.classList.add('hidden');
+}
+
+/** @returns {boolean} True while a Time Attack run is active (paused or running). */
+function isTimeAttackRun() {
+    return timeAttackRun !== null;
+}
+
+/**
+ * Ms left on the clock, counting the time run since the last resume.
+ *
+ * @returns {number}
+ */
+function getTimeAttackRemainingMs() {
+    if (!timeAttackRun) return 0;
+    const { remainingMs, runningSince } = timeAttackRun;
+    return Math.max(0, runningSince === null ? remainingMs : remainingMs - (performance.now() - runningSince));
+}
+
+/** Shows the clock and starts (or restarts) the countdown. No-op if it is already running. */
+function resumeTimeAttackClock() {
+    if (!timeAttackRun || timeAttackRun.runningSince !== null) return;
+    document.getElementById('time-attack-clock')?.classList.remove('hidden');
+    timeAttackRun.runningSince = performance.now();
+    timeAttackRun.intervalId = setInterval(tickTimeAttackClock, TIME_ATTACK_TICK_MS);
+    tickTimeAttackClock();
+}
+
+/** Holds the countdown where it is (e.g. while the drain covers the screen). */
+function pauseTimeAttackClock() {
+    if (!timeAttackRun || timeAttackRun.runningSince === null) return;
+    timeAttackRun.remainingMs = getTimeAttackRemainingMs();
+    timeAttackRun.runningSince = null;
+    clearInterval(timeAttackRun.intervalId);
+    renderTimeAttackClock();
+}
+
+/** Counts a won level and adds its bonus time. */
+function recordTimeAttackWin() {
+    if (!timeAttackRun) return;
+    timeAttackRun.levelsCleared++;
+    adjustTimeAttackClock(TIME_ATTACK_WIN_BONUS_MS);
+}
+
+/** Counts a wrong tap and takes its penalty off the clock. */
+function recordTimeAttackWrongTap() {
+    if (!timeAttackRun) return;
+    timeAttackRun.wrongTaps++;
+    adjustTimeAttackClock(-TIME_ATTACK_WRONG_TAP_PENALTY_MS);
+}
+
+/**
+ * Adds (or with a negative delta, takes away) time and flashes the change.
+ *
+ * @param {number} deltaMs
+ */
+function adjustTimeAttackClock(deltaMs) {
+    timeAttackRun.remainingMs += deltaMs;
+    const clockEl = document.getElementById('time-attack-clock');
+    if (clockEl) {
+        const flashClass = deltaMs > 0 ? 'gain' : 'loss';
+        clockEl.classList.remove('gain', 'loss');
+        void clockEl.offsetWidth;  // Restart the flash animation
+        clockEl.classList.add(flashClass);
+        setTimeout(() => clockEl.classList.remove(flashClass), TIME_ATTACK_FLASH_MS);
+    }
+    tickTimeAttackClock();
+}
+
+/**
+ * Redraws the clock, warns once when time runs low and ends the run at zero.
+ */
+function tickTimeAttackClock() {
+    const run = timeAttackRun;
+    if (!run) return;
+    renderTimeAttackClock();
+    const remainingMs = getTimeAttackRemainingMs();
+    if (remainingMs <= TIME_ATTACK_LOW_MS && remainingMs > 0 && !run.warned && run.runningSince !== null) {
+        run.warned = true;
+        announce(`${Math.ceil(remainingMs / 1000)} seconds left.`);
+    }
+    if (remainingMs > TIME_ATTACK_LOW_MS) run.warned = false;
+    if (remainingMs <= 0 && run.runningSince !== null) {
+        pauseTimeAttackClock();
+        run.onTimeUp();
+    }
+}
+
+/** Writes the remaining time into #time-attack-clock. */
+function renderTimeAttackClock() {
+    const clockEl = document.getElementById('time-attack-clock');
+    if (!clockEl || !timeAttackRun) return;
+    const remainingMs = getTimeAttackRemainingMs();
+    clockEl.textContent = formatDuration(remainingMs);
+    clockEl.classList.toggle('low', remainingMs <= TIME_ATTACK_LOW_MS);
+}
+
+/**
+ * Summary for the end of a run (see showSummaryScreen in summary.js).
+ *
+ * @param {string} modeTitle
+ * @param {{ timeMs: number }[]} levelScores Scores of the levels won this run.
+ * @returns {Object}
+ */
+function getTimeAttackSummary(modeTitle, levelScores) {
+    const { levelsCleared, wrongTaps } = timeAttackRun || { levelsCleared: 0, wrongTaps: 0 };
+    const rows = [
+        { label: 'Levels cleared', value: String(levelsCleared), highlight: true },
+        { label: 'Wrong taps', value: String(wrongTaps) }
+    ];
+    if (levelScores.length > 0) {
+        rows.push({ label: 'Fastest level', value: formatDuration(Math.min(...levelScores.map((s) => s.timeMs))) });
+    }
+    return {
+        title: modeTitle,
+        subtitle: 'Time Attack',
+        sections: [{ rows }],
+        note: `Each level won adds ${TIME_ATTACK_WIN_BONUS_MS / 1000}s; each wrong tap costs ${TIME_ATTACK_WRONG_TAP_PENALTY_MS / 1000}s.`
+    };
+}
@@ -26,6 +26,10 @@ const MODE_SELECT_TO_LEVEL_FADE_MS = FADE_MS * 4;
 // Ms for Juice Box + mode buttons fade when returning from mode select screen to title screen.
 const RETURN_TO_TITLE_FADE_MS = 300;
 
-// Grid cell bounce-in: random stagger range (min + random up to max).
+// Grid cell bounce-in: random stagger range (min + random up to max). Modes shorten
+// the max as levels get harder (bounceStaggerMaxMs in a difficulty step; modes.js).
 const GRID_BOUNCE_STAGGER_MIN_MS = 50;
 const GRID_BOUNCE_STAGGER_MAX_MS = 600;
+
+// Ms for a face-down cell to turn over (grid.js flipCell); matches .cell.flipping in style.css.
+const CELL_FLIP_MS = 300;
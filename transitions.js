@@ -9,12 +9,13 @@
  *  When the player presses ESC (returnToModeSelect), the drain is cancelled with
  *  fadeOut so it fades away rather than vanishing.
  *
- *  Dependencies: utils.js (doubleRAF), audio.js (loadAudioMetadata, playOneshot).
+ *  Dependencies: utils.js (doubleRAF), audio.js (loadAudioMetadata, playOneshot, stopSound).
  * ============================================================
  */
 
 const DRAIN_AUDIO_SRC = 'audio/Juicebox Straw.mp3';
 const DRAIN_FADE_MS = 300;  // Matches liquid overlay opacity transition in liquid.css
+const DRAIN_FALLBACK_DURATION_SEC = 1.5;  // Drain length if the straw sound can't load (the level must still start)
 
 /**
  * Cancels any in-progress drain: stops timers, pauses audio, hides overlay.
@@ -70,8 +71,7 @@ function showLiquidDrain(liquidOverlay, { onTransitionStart, onTransitionEnd, on
         timeouts.forEach((id) => clearTimeout(id));
         timeouts.length = 0;
         if (liquidOverlay.__drainAudio) {
-            liquidOverlay.__drainAudio.pause();
-            liquidOverlay.__drainAudio.currentTime = 0;
+            stopSound(liquidOverlay.__drainAudio);
             liquidOverlay.__drainAudio = null;
         }
         if (fadeOut && liquidOverlay.classList.contains('visible')) {
@@ -95,14 +95,15 @@ function showLiquidDrain(liquidOverlay, { onTransitionStart, onTransitionEnd, on
 
     const startDrain = () => {
         if (cancelled) return;
-        loadAudioMetadata(DRAIN_AUDIO_SRC).then((audio) => {
+        loadAudioMetadata(DRAIN_AUDIO_SRC).catch((err) => {
+            console.warn(`Drain: ${DRAIN_AUDIO_SRC} unavailable, using ${DRAIN_FALLBACK_DURATION_SEC}s`, err);
+            return { duration: DRAIN_FALLBACK_DURATION_SEC };
+        }).then((buffer) => {
             if (cancelled) return;
-            const durationMs = audio.duration * 1000;
-            const durationSec = audio.duration;
+            const durationMs = buffer.duration * 1000;
+            const durationSec = buffer.duration;
 
-            const drainAudio = new Audio(withCacheBust(DRAIN_AUDIO_SRC));
-            liquidOverlay.__drainAudio = drainAudio;
-            drainAudio.play();
+            liquidOverlay.__drainAudio = playOneshot(DRAIN_AUDIO_SRC);
 
             liquidOverlay.style.animationDuration = `${durationSec}s`;
 
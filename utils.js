@@ -2,8 +2,15 @@
  * ============================================================
  *  JUICE BOX — Shared Utilities
  * ============================================================
- *  Helpers used across multiple modules (shuffle, doubleRAF).
+ *  Helpers used across multiple modules (shuffle, doubleRAF, seeded randomness).
  *  Timing constants live in timing.js. Loaded early; no dependencies.
+ *
+ *  SEEDED RANDOMNESS: Level generation never calls Math.random() directly. Each
+ *  level gets its own rng (a () => number in [0, 1), like Math.random) from
+ *  createLevelRandom(seed, modeId, levelIndex), and every generator and helper
+ *  takes it as a parameter. Same seed + mode + level index → identical grid,
+ *  including mirroring. Helpers default to Math.random for non-level uses
+ *  (flying sprites, audio variety) that don't need to be reproducible.
  * ============================================================
  */
 
@@ -19,12 +26,114 @@ function withCacheBust(path) {
     return path + (path.includes('?') ? '&' : '?') + 'v=' + v;
 }
 
+// ---- Seeded randomness ----
+
+/**
+ * Hashes a string into a 32-bit unsigned integer (FNV-1a with a final avalanche
+ * step so similar strings, e.g. "level 1" and "level 2", give unrelated seeds).
+ *
+ * @param {string} str  Any string (seed, or seed + mode + level index)
+ * @returns {number}    Unsigned 32-bit hash
+ */
+function hashSeed(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32). Drop-in
+ * replacement for Math.random: each call returns a number in [0, 1).
+ *
+ * @param {number} seed  Unsigned 32-bit integer seed (see hashSeed)
+ * @returns {() => number}
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns the rng for one level. Each level is seeded independently, so level 7
+ * of a seed can be reproduced without replaying levels 0–6.
+ *
+ * @param {string} seed        Session seed (from ?seed= or generateSessionSeed)
+ * @param {string} modeId      Mode identifier (e.g. 'pick-a-pair')
+ * @param {number} levelIndex  0-based level number within the session
+ * @returns {() => number}
+ */
+function createLevelRandom(seed, modeId, levelIndex) {
+    return createSeededRandom(hashSeed(`${seed}:${modeId}:${levelIndex}`));
+}
+
+/**
+ * Generates a short random seed for a session when none is given via ?seed=.
+ * @returns {string}  e.g. "k3x9q2"
+ */
+function generateSessionSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * Reads the ?seed= URL parameter, so exact puzzles can be shared and bug reports reproduced.
+ * @returns {string|null}  The seed, or null when absent or empty
+ */
+function getSeedFromUrl() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    return seed ? seed : null;
+}
+
+/**
+ * Whether the ?debug URL parameter is present (extra console output for bug reports).
+ * @returns {boolean}
+ */
+function isDebugFromUrl() {
+    return new URLSearchParams(window.location.search).has('debug');
+}
+
+/**
+ * Returns a random integer in [0, n).
+ *
+ * @param {number} n                    Exclusive upper bound
+ * @param {() => number} [rng=Math.random]
+ * @returns {number}
+ */
+function randomInt(n, rng = Math.random) {
+    return Math.floor(rng() * n);
+}
+
+/**
+ * Returns a random element of `array`.
+ *
+ * @param {Array} array
+ * @param {() => number} [rng=Math.random]
+ * @returns {*}
+ */
+function randomChoice(array, rng = Math.random) {
+    return array[randomInt(array.length, rng)];
+}
+
 /**
  * Returns true or false at random (50/50). General-purpose coin toss.
+ * @param {() => number} [rng=Math.random]
  * @returns {boolean}
  */
-function randomCoinToss() {
-    return Math.random() < 0.5;
+function randomCoinToss(rng = Math.random) {
+    return rng() < 0.5;
 }
 
 /**
@@ -32,10 +141,22 @@ function randomCoinToss() {
  * Returns scaleX value (1 or -1) for use in JS transforms (e.g. flying sprites).
  *
  * @param {HTMLImageElement} img  Sprite image element
+ * @param {() => number} [rng=Math.random]  Pass the level rng so mirroring is reproducible
  * @returns {1|-1}  Value for scaleX() in transform
  */
-function randomlyApplyHorizontalMirroringOrNotToSprite(img) {
-    const mirrored = randomCoinToss();
+function randomlyApplyHorizontalMirroringOrNotToSprite(img, rng = Math.random) {
+    return applyHorizontalMirroringToSprite(img, randomCoinToss(rng));
+}
+
+/**
+ * Mirrors a sprite img horizontally, or not, as the caller decides (e.g. Mirror
+ * Mirror, where facing is the puzzle). Adds .mirrored class when mirrored.
+ *
+ * @param {HTMLImageElement} img  Sprite image element
+ * @param {boolean} mirrored
+ * @returns {1|-1}  Value for scaleX() in transform
+ */
+function applyHorizontalMirroringToSprite(img, mirrored) {
     if (mirrored) img.classList.add('mirrored');
     return mirrored ? -1 : 1;
 }
@@ -45,17 +166,45 @@ function randomlyApplyHorizontalMirroringOrNotToSprite(img) {
  * Does NOT mutate the original.
  *
  * @param {Array} array  Array to shuffle
+ * @param {() => number} [rng=Math.random]
  * @returns {Array}      New array with elements in random order
  */
-function shuffle(array) {
+function shuffle(array, rng = Math.random) {
     const a = [...array];
     for (let i = a.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = randomInt(i + 1, rng);
         [a[i], a[j]] = [a[j], a[i]];
     }
     return a;
 }
 
+/**
+ * Formats a duration for display: seconds with one decimal under a minute
+ * ("42.3s"), minutes and seconds above ("1:05").
+ *
+ * @param {number} ms  Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, ms) / 1000;
+    if (totalSeconds < 60) return `${totalSeconds.toFixed(1)}s`;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Local calendar date as "YYYY-MM-DD" (Daily Challenge runs, weekly stats).
+ *
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getLocalDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Double requestAnimationFrame — waits for the browser to finish painting the
  * current frame before running the callback. Use when applying a CSS change and